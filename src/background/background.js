@@ -1,51 +1,311 @@
 // Background service worker - handles cookie API operations
 // Content scripts cannot access chrome.cookies API directly, so we proxy requests
+// Also serves the toolbar popup and options page, which only talk to this worker
 
-// Message types
-const GET_COOKIE = 'GET_COOKIE';
-const SET_COOKIE = 'SET_COOKIE';
-const GET_ALL_COOKIES = 'GET_ALL_COOKIES';
+import {
+  GET_COOKIE,
+  SET_DEVICE,
+  CLEAR_DEVICE,
+  REMOVE_COOKIE,
+  SET_COOKIE_VALUE,
+  GET_ALL_COOKIES,
+  TAKE_PENDING_TOAST,
+  GET_TAB_OVERRIDE,
+  SET_TAB_OVERRIDE,
+  CLEAR_TAB_OVERRIDE,
+  GET_DEVICE_HEADERS,
+  GET_TAB_ACTIVATION,
+  GET_MODE_MISMATCH,
+  GET_PIN_LOG,
+  GET_COOKIE_DETAILS,
+  GET_TAB_STATE,
+  SET_TAB_DEVICE,
+  GET_SETTINGS,
+  GET_COMMANDS,
+  SET_TAB_ACTIVATION,
+  ADD_DOMAIN,
+  REMOVE_DOMAIN,
+  UNBLOCK_DOMAIN,
+  ADD_DEVICE_MODE,
+  UPDATE_DEVICE_MODE,
+  REMOVE_DEVICE_MODE,
+  MOVE_DEVICE_MODE,
+  SET_COOKIE_PROFILE,
+  REMOVE_COOKIE_PROFILE,
+  UPDATE_DOMAIN_SETTINGS,
+  REMOVE_DOMAIN_SETTINGS,
+  UPDATE_PREFERENCES,
+  SET_SYNC_ENABLED,
+  EXPORT_CONFIG,
+  PREVIEW_IMPORT,
+  IMPORT_CONFIG,
+  ROLLBACK_MIGRATION,
+  COOKIE_CHANGED,
+  GET_DEVICE_STATE,
+  APPLY_DEVICE,
+  DEVICE_COMMAND,
+  ACTIVATION_CHANGED,
+  HISTORY_STATE_UPDATED,
+} from '../shared/constants.js';
+import {
+  ERROR_CODES,
+  SENDERS,
+  ProtocolError,
+  parseRequest,
+  createResponse,
+  createErrorResponse,
+} from '../shared/protocol.js';
+import { sendToTab } from '../shared/messaging.js';
+
+// Shared storage helpers (domain lists, device modes, cookie profiles, site settings)
+import { getManagedConfig, hasConfigChange, isSyncEnabled, setSyncEnabled } from '../content/storage-areas.js';
+import {
+  getDomainList,
+  addDomainToList,
+  removeDomainFromList,
+  unblockDomain,
+  normalizeSettingsDomain,
+  getDeviceModes,
+  addDeviceMode,
+  updateDeviceMode,
+  removeDeviceMode,
+  moveDeviceMode,
+  getCookieProfiles,
+  getCookieProfile,
+  setCookieProfile,
+  removeCookieProfile,
+  resolveCookieValue,
+  resolveDeviceType,
+  getDomainSettings,
+  getAllDomainSettings,
+  updateDomainSettings,
+  DEFAULT_DOMAIN_SETTINGS,
+  removeDomainSettings,
+  getPreferences,
+  updatePreferences,
+} from '../content/storage-manager.js';
+
+// Storage migrations, cookie attributes, per-tab overrides, manual tab activation, header rules,
+// configuration import/export, verification of the served mode and mode pinning
+import { runMigrations, rollbackMigration, getStorageInfo } from './storage-migrations.js';
+import {
+  getCookiePartitionKey,
+  getCookieAttributes,
+  getCookie,
+  setCookie,
+  getVisibleCookies,
+  removeVisibleCookies,
+  restoreVisibleCookies,
+  getCookieDetails,
+} from './cookie-attributes.js';
+import {
+  getTabOverride,
+  setTabOverride,
+  clearTabOverride,
+  refreshTabOverrideRules,
+  refreshTabOverridesForCookie,
+} from './tab-overrides.js';
+import { isTabActivated, setTabActivation, clearTabActivation } from './tab-activation.js';
+import { exportConfig, previewConfigImport, importConfig } from './config-transfer.js';
+import { getHeaderDevice, setHeaderDevice, clearHeaderDevice, refreshHeaderRules } from './header-rules.js';
+import {
+  REQUESTED_MODES_ITEM,
+  setRequestedMode,
+  clearRequestedMode,
+  getModeMismatch,
+  setModeMismatch,
+  clearModeMismatch,
+} from './requested-modes.js';
+import { scheduleCookieCheck, verifyMainFrameResponse } from './mode-verification.js';
+import { getPinLog } from './mode-pinning.js';
+
+// Cookie values the inspector may write: no separators, quotes, backslashes or control characters
+const COOKIE_VALUE_REGEX = /^[^\s;,"\\\x00-\x1f\x7f]*$/;
+
+// Toasts to show in a tab once it has reloaded after a keyboard shortcut
+const pendingToasts = new Map();
+
+// Storage operations available to the popup and options page
+const SETTINGS_ACTIONS = {
+  [ADD_DOMAIN]: (request) => addDomainToList(request.list, request.domain),
+  [REMOVE_DOMAIN]: (request) => removeDomainFromList(request.list, request.domain),
+  [UNBLOCK_DOMAIN]: (request) => unblockDomain(request.domain),
+  [ADD_DEVICE_MODE]: (request) => addDeviceMode(request.mode),
+  [UPDATE_DEVICE_MODE]: (request) => updateDeviceMode(request.id, request.changes),
+  [REMOVE_DEVICE_MODE]: (request) => removeDeviceMode(request.id),
+  [MOVE_DEVICE_MODE]: (request) => moveDeviceMode(request.id, request.offset),
+  [SET_COOKIE_PROFILE]: (request) => setCookieProfile(request.domain, request.profile),
+  [REMOVE_COOKIE_PROFILE]: (request) => removeCookieProfile(request.domain),
+  [UPDATE_DOMAIN_SETTINGS]: (request) => updateDomainSettings(normalizeSettingsDomain(request.domain), request.changes),
+  [REMOVE_DOMAIN_SETTINGS]: (request) => removeDomainSettings(request.domain),
+  [UPDATE_PREFERENCES]: (request) => updatePreferences(request.changes),
+  [SET_SYNC_ENABLED]: (request) => setSyncEnabled(request.enabled === true),
+  [EXPORT_CONFIG]: () => exportConfig(),
+  [PREVIEW_IMPORT]: (request) => previewConfigImport(request.file),
+  [IMPORT_CONFIG]: (request) => importConfig(request.file, request.strategy),
+  [ROLLBACK_MIGRATION]: () => rollbackMigration(),
+};
 
 /**
- * Get a specific cookie for a URL
+ * Switch a site to a device mode in one go, with every switching method the site uses
+ * The profile cookies are written together: if one of them (or the header rule) cannot
+ * be written, the cookies written so far get their old values back, so the profile's
+ * cookies never disagree about the mode
+ * @returns {Promise<Object>} { cookies, override } - the cookies as set, the header override
  */
-async function getCookie(url, name) {
-  return await chrome.cookies.get({ url, name });
+async function setDevice(url, deviceType) {
+  const hostname = new URL(url).hostname;
+  const modes = await getDeviceModes();
+  const mode = modes.find((m) => m.id === deviceType);
+  if (!mode) {
+    throw new Error(`Invalid device type: ${deviceType}`);
+  }
+
+  const [settings, profile, attributes] = await Promise.all([
+    getDomainSettings(hostname),
+    getCookieProfile(hostname),
+    getCookieAttributes(url),
+  ]);
+  const partitionKey = getCookiePartitionKey(url, attributes);
+  const profileCookies = settings.switchMethods.includes('cookie') ? profile.cookies : [];
+
+  // The cookies as they were, for the rollback
+  const previous = await Promise.all(profileCookies.map((c) => getVisibleCookies(url, c.name, partitionKey)));
+  let attempted = 0;
+
+  try {
+    const cookies = [];
+    for (const profileCookie of profileCookies) {
+      attempted++;
+      const cookie = await setCookie(url, profileCookie.name, resolveCookieValue(profileCookie, mode));
+      if (!cookie) {
+        throw new Error(`Failed to set cookie "${profileCookie.name}"`);
+      }
+      cookies.push(cookie);
+    }
+
+    // Request header and User-Agent methods share one rule per site
+    const usesHeaders = settings.switchMethods.includes('header') || settings.switchMethods.includes('userAgent');
+    const override = usesHeaders ? await setHeaderDevice(url, deviceType) : null;
+
+    return { cookies, override };
+  } catch (error) {
+    await restoreProfileCookies(url, profileCookies.slice(0, attempted), previous, partitionKey);
+    throw error;
+  }
 }
 
 /**
- * Set a cookie with proper attributes
+ * Return a site to its default output in one go, undoing every switching method it uses
+ * Like setDevice, the profile cookies are removed together: if one of them (or the header
+ * rule) cannot be removed, the removed cookies come back and the requested mode is kept
  */
-async function setCookie(url, name, value) {
-  const urlObj = new URL(url);
+async function clearDevice(url) {
+  const hostname = new URL(url).hostname;
+  const [settings, profile, attributes, requestedModes] = await Promise.all([
+    getDomainSettings(hostname),
+    getCookieProfile(hostname),
+    getCookieAttributes(url),
+    REQUESTED_MODES_ITEM.get(),
+  ]);
+  const partitionKey = getCookiePartitionKey(url, attributes);
+  const profileCookies = settings.switchMethods.includes('cookie') ? profile.cookies : [];
+
+  // The cookies as they were, for the rollback
+  const previous = await Promise.all(profileCookies.map((c) => getVisibleCookies(url, c.name, partitionKey)));
+  let attempted = 0;
+
+  // Forget the mode first, so the removals are not taken for the site resetting it
+  await clearRequestedMode(url);
 
-  // Remove existing cookie first if it exists
   try {
-    await chrome.cookies.remove({
-      url: url,
-      name: name,
-    });
-  } catch (e) {
-    // Cookie might not exist, continue
-  }
-
-  // Set new cookie with standard attributes
-  return await chrome.cookies.set({
-    url: url,
-    name: name,
-    value: value,
-    domain: urlObj.hostname,
-    path: '/',
-    secure: urlObj.protocol === 'https:',
-    sameSite: 'lax',
+    for (const profileCookie of profileCookies) {
+      attempted++;
+      await removeVisibleCookies(url, profileCookie.name, partitionKey);
+      if ((await getVisibleCookies(url, profileCookie.name, partitionKey)).length > 0) {
+        throw new Error(`Failed to remove cookie "${profileCookie.name}"`);
+      }
+    }
+
+    if (settings.switchMethods.includes('header') || settings.switchMethods.includes('userAgent')) {
+      await clearHeaderDevice(hostname);
+    }
+  } catch (error) {
+    await restoreProfileCookies(url, profileCookies.slice(0, attempted), previous, partitionKey);
+    if (requestedModes[hostname]) {
+      await setRequestedMode(url, requestedModes[hostname].deviceType);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Put back profile cookies as read by getVisibleCookies, after a switch or reset failed
+ * Failures are logged, the error of the switch is the one reported
+ * @param {string} url - Page URL
+ * @param {Object[]} profileCookies - Profile cookies that may have changed
+ * @param {Object[][]} previous - Cookies of each name as they were
+ * @param {Object|undefined} partitionKey - Partition of the site's device cookies
+ */
+async function restoreProfileCookies(url, profileCookies, previous, partitionKey) {
+  const rollback = await Promise.allSettled(profileCookies
+    .map((c, index) => restoreVisibleCookies(url, c.name, previous[index], partitionKey)));
+  rollback.filter((result) => result.status === 'rejected').forEach(({ reason }) => {
+    console.error('Failed to restore device cookie:', reason);
   });
 }
 
+/**
+ * Write any value to a profile cookie, for debugging from the cookie inspector
+ * Only cookies listed in the domain's cookie profile may be edited. A value that
+ * belongs to a mode becomes the requested mode, any other leaves no mode requested
+ * (so the pin does not undo the edit)
+ */
+async function setProfileCookieValue(url, name, value) {
+  const hostname = new URL(url).hostname;
+  const [profile, modes] = await Promise.all([getCookieProfile(hostname), getDeviceModes()]);
+  const profileCookie = profile.cookies.find((c) => c.name === name);
+
+  if (!profileCookie) {
+    throw new Error(`Cookie "${name}" is not part of the cookie profile`);
+  }
+  if (typeof value !== 'string' || !COOKIE_VALUE_REGEX.test(value)) {
+    throw new Error(`Invalid cookie value: "${value}"`);
+  }
+
+  const deviceType = resolveDeviceType(profileCookie, value, modes);
+  if (deviceType) {
+    await setRequestedMode(url, deviceType);
+  } else {
+    await clearRequestedMode(url);
+  }
+
+  return await setCookie(url, name, value);
+}
+
+/**
+ * Remove one profile cookie, for debugging from the cookie inspector
+ * Only cookies listed in the domain's cookie profile may be removed. The requested mode
+ * stays, so verification reports the missing cookie (and the pin puts it back)
+ */
+async function removeProfileCookie(url, name) {
+  const profile = await getCookieProfile(new URL(url).hostname);
+
+  if (!profile.cookies.some((c) => c.name === name)) {
+    throw new Error(`Cookie "${name}" is not part of the cookie profile`);
+  }
+
+  const partitionKey = getCookiePartitionKey(url, await getCookieAttributes(url));
+  await removeVisibleCookies(url, name, partitionKey);
+}
+
 /**
  * Get all cookies for a URL
+ * Includes the partition of the site's device cookies when they are partitioned
  */
 async function getAllCookies(url) {
-  return await chrome.cookies.getAll({ url });
+  const partitionKey = getCookiePartitionKey(url, await getCookieAttributes(url));
+  return await chrome.cookies.getAll(partitionKey ? { url, partitionKey } : { url });
 }
 
 /**
@@ -72,7 +332,7 @@ async function notifyTabsOfChange(url) {
         }
       })
       .map(tab =>
-        chrome.tabs.sendMessage(tab.id, { type: 'COOKIE_CHANGED', url })
+        sendToTab(tab.id, COOKIE_CHANGED, { url })
           .catch(() => {
             // Tab might not be ready or closed, ignore error
           })
@@ -85,58 +345,326 @@ async function notifyTabsOfChange(url) {
   }
 }
 
-// Message handler from content scripts
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  (async () => {
-    try {
-      // SECURITY: Validate sender and origin
-      if (!sender.tab || !sender.tab.url) {
-        sendResponse({ success: false, error: 'Invalid sender' });
-        return;
-      }
+/**
+ * Check whether a message comes from one of our own extension pages (popup, options)
+ */
+function isExtensionPage(sender) {
+  if (sender.id !== chrome.runtime.id || !sender.url) {
+    return false;
+  }
 
-      // SECURITY: Validate that the URL in the request matches the sender's origin
-      let senderUrl, requestUrl;
-      try {
-        senderUrl = new URL(sender.tab.url);
-        requestUrl = new URL(request.url);
-      } catch (e) {
-        sendResponse({ success: false, error: 'Invalid URL format' });
-        return;
+  try {
+    return new URL(sender.url).origin === new URL(chrome.runtime.getURL('/')).origin;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the switcher state of a tab from its content script
+ */
+async function getTabState(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+
+  try {
+    const { hostname, active, activationMode, device, modes } = await sendToTab(tabId, GET_DEVICE_STATE);
+    return { available: true, url: tab.url, hostname, active, activationMode, device, modes };
+  } catch {
+    // No content script on this page (e.g. chrome:// pages, Web Store)
+    return { available: false, url: tab.url };
+  }
+}
+
+/**
+ * Ask a tab's content script to switch device mode
+ * The content script applies the change exactly like a click on the card
+ */
+async function setTabDevice(tabId, deviceType) {
+  return await sendToTab(tabId, APPLY_DEVICE, { deviceType });
+}
+
+/**
+ * Turn the switcher on or off in a tab (manual activation mode)
+ * The content script shows or hides the card right away
+ */
+async function setTabActivationFromPopup(tabId, active) {
+  const tab = await chrome.tabs.get(tabId);
+  await setTabActivation(tabId, tab.url, active);
+
+  try {
+    await sendToTab(tabId, ACTIVATION_CHANGED);
+  } catch {
+    // No content script on this page, nothing to update
+  }
+}
+
+/**
+ * Route a keyboard shortcut to the active tab's content script
+ * The content script checks whether it is active, picks the mode and shows a toast
+ */
+async function handleCommand(command, tab) {
+  if (!tab || !tab.id) {
+    return;
+  }
+
+  try {
+    const response = await sendToTab(tab.id, DEVICE_COMMAND, { command });
+
+    // The page reloads before the toast is seen - show it again afterwards
+    if (response.reloading && response.toast) {
+      pendingToasts.set(tab.id, response.toast);
+    }
+  } catch {
+    // No content script on this page, nothing to switch
+  }
+}
+
+/**
+ * Get the full configuration for the options page
+ */
+async function getSettings() {
+  const [allowlist, blocklist, modes, cookieProfiles, domainSettings, preferences, syncEnabled, managed, storage] = await Promise.all([
+    getDomainList('allowlist'),
+    getDomainList('blocklist'),
+    getDeviceModes(),
+    getCookieProfiles(),
+    getAllDomainSettings(),
+    getPreferences(),
+    isSyncEnabled(),
+    getManagedConfig(),
+    getStorageInfo(),
+  ]);
+
+  // Fill in fields added after the settings were stored
+  const effectiveSettings = Object.fromEntries(Object.entries(domainSettings)
+    .map(([domain, settings]) => [domain, { ...DEFAULT_DOMAIN_SETTINGS, ...settings }]));
+
+  return { allowlist, blocklist, modes, cookieProfiles, domainSettings: effectiveSettings, preferences, syncEnabled, managed, storage };
+}
+
+/**
+ * Handle a message from the popup or options page
+ * @returns {Promise<Object>} Response payload
+ */
+async function handleExtensionPageMessage(request) {
+  switch (request.type) {
+    case GET_TAB_STATE:
+      return { state: await getTabState(request.tabId) };
+
+    case SET_TAB_DEVICE:
+      await setTabDevice(request.tabId, request.deviceType);
+      return {};
+
+    case GET_SETTINGS:
+      return { settings: await getSettings() };
+
+    case GET_COMMANDS:
+      return { commands: await chrome.commands.getAll() };
+
+    case SET_TAB_ACTIVATION:
+      await setTabActivationFromPopup(request.tabId, request.active);
+      return {};
+
+    default:
+      if (SETTINGS_ACTIONS[request.type]) {
+        return { result: await SETTINGS_ACTIONS[request.type](request) };
       }
+      // parseRequest only lets through the page message types handled here
+      throw new Error(`Unhandled message type: ${request.type}`);
+  }
+}
+
+/**
+ * Check that a content script message comes from a tab and names a URL on the tab's origin
+ * SECURITY: prevents a page from acting on the cookies of another site
+ * @throws {ProtocolError} INVALID_SENDER or ORIGIN_MISMATCH
+ */
+function checkSenderOrigin(request, sender) {
+  let senderUrl;
+  try {
+    senderUrl = new URL(sender.tab.url);
+  } catch {
+    throw new ProtocolError(ERROR_CODES.INVALID_SENDER, 'Invalid sender');
+  }
+
+  // The request URL is checked against the schema by parseRequest
+  const requestUrl = new URL(request.url);
+  if (senderUrl.origin !== requestUrl.origin) {
+    console.warn('Origin mismatch:', { senderOrigin: senderUrl.origin, requestOrigin: requestUrl.origin });
+    throw new ProtocolError(ERROR_CODES.ORIGIN_MISMATCH, 'Origin mismatch');
+  }
+}
+
+/**
+ * Handle a message from a content script, after its origin was checked
+ * @returns {Promise<Object>} Response payload
+ */
+async function handleContentMessage(request, sender) {
+  const { hostname } = new URL(request.url);
+
+  switch (request.type) {
+    case GET_COOKIE:
+      return { cookie: await getCookie(request.url, request.name) };
+
+    // One round trip and one broadcast per switch, whatever the number of cookies
+    case SET_DEVICE: {
+      const { cookies, override } = await setDevice(request.url, request.deviceType);
+      await setRequestedMode(request.url, request.deviceType);
+      notifyTabsOfChange(request.url);
+      return { cookies, override };
+    }
+
+    case SET_COOKIE_VALUE: {
+      const result = await setProfileCookieValue(request.url, request.name, request.value);
+      notifyTabsOfChange(request.url);
+      return { result };
+    }
+
+    case CLEAR_DEVICE:
+      await clearDevice(request.url);
+      notifyTabsOfChange(request.url);
+      return {};
+
+    // Inspector deletes keep the requested mode, so verification and the pin see them
+    case REMOVE_COOKIE:
+      await removeProfileCookie(request.url, request.name);
+      notifyTabsOfChange(request.url);
+      return {};
+
+    case GET_ALL_COOKIES:
+      return { cookies: await getAllCookies(request.url) };
+
+    case TAKE_PENDING_TOAST: {
+      const toast = pendingToasts.get(sender.tab.id) || null;
+      pendingToasts.delete(sender.tab.id);
+      return { toast };
+    }
 
-      // Ensure origins match - prevent cross-origin manipulation
-      if (senderUrl.origin !== requestUrl.origin) {
-        console.warn('Origin mismatch:', { senderOrigin: senderUrl.origin, requestOrigin: requestUrl.origin });
-        sendResponse({ success: false, error: 'Origin mismatch' });
+    // Tab overrides always act on the sender's own tab
+    case GET_TAB_OVERRIDE:
+      return { override: await getTabOverride(sender.tab.id, request.url) };
+
+    case SET_TAB_OVERRIDE: {
+      const override = await setTabOverride(sender.tab.id, request.url, request.deviceType);
+      await setModeMismatch(sender.tab.id, null);
+      return { override };
+    }
+
+    case CLEAR_TAB_OVERRIDE:
+      await clearTabOverride(sender.tab.id);
+      await setModeMismatch(sender.tab.id, null);
+      return {};
+
+    case GET_DEVICE_HEADERS:
+      return { deviceType: await getHeaderDevice(hostname) };
+
+    case GET_TAB_ACTIVATION:
+      return { active: await isTabActivated(sender.tab.id, request.url) };
+
+    case GET_MODE_MISMATCH:
+      return { mismatch: await getModeMismatch(sender.tab.id, request.url) };
+
+    case GET_PIN_LOG:
+      return { entries: await getPinLog(hostname) };
+
+    case GET_COOKIE_DETAILS:
+      return { details: await getCookieDetails(request.url) };
+
+    default:
+      // parseRequest only lets through the content message types handled here
+      throw new Error(`Unhandled message type: ${request.type}`);
+  }
+}
+
+// Message handler from content scripts and extension pages
+// Requests and responses follow protocol.js, failures answer with an error code
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  (async () => {
+    try {
+      // Popup and options page have no tab origin to check against
+      if (isExtensionPage(sender)) {
+        const request = parseRequest(message, SENDERS.PAGE);
+        sendResponse(createResponse(request, await handleExtensionPageMessage(request)));
         return;
       }
 
-      switch (request.type) {
-        case GET_COOKIE:
-          const cookie = await getCookie(request.url, request.name);
-          sendResponse({ success: true, cookie });
-          break;
-
-        case SET_COOKIE:
-          const result = await setCookie(request.url, request.name, request.value);
-          notifyTabsOfChange(request.url);
-          sendResponse({ success: true, result });
-          break;
-
-        case GET_ALL_COOKIES:
-          const cookies = await getAllCookies(request.url);
-          sendResponse({ success: true, cookies });
-          break;
-
-        default:
-          sendResponse({ success: false, error: 'Unknown message type' });
+      // SECURITY: Validate sender and origin
+      if (!sender.tab || !sender.tab.url) {
+        throw new ProtocolError(ERROR_CODES.INVALID_SENDER, 'Invalid sender');
       }
+
+      const request = parseRequest(message, SENDERS.CONTENT);
+      checkSenderOrigin(request, sender);
+      sendResponse(createResponse(request, await handleContentMessage(request, sender)));
     } catch (error) {
-      sendResponse({ success: false, error: error.message });
+      sendResponse(createErrorResponse(message, error));
     }
   })();
 
   // Return true to indicate async response
   return true;
 });
+
+// Keyboard shortcuts (rebindable at chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener(handleCommand);
+
+// Drop state kept for closed tabs
+chrome.tabs.onRemoved.addListener((tabId) => {
+  pendingToasts.delete(tabId);
+  clearTabOverride(tabId).catch((error) => {
+    console.error('Failed to clear tab override:', error);
+  });
+  clearTabActivation(tabId).catch((error) => {
+    console.error('Failed to clear tab activation:', error);
+  });
+  clearModeMismatch(tabId).catch((error) => {
+    console.error('Failed to clear mode mismatch:', error);
+  });
+});
+
+// Upgrade the configuration stored by older versions
+chrome.runtime.onInstalled.addListener(() => {
+  runMigrations().catch((error) => {
+    console.error('Failed to migrate stored configuration:', error);
+  });
+});
+
+// Header rules follow changes to switching methods, header names and User-Agents,
+// whether made here, synced from another browser or caused by turning sync on or off
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const configChanged = hasConfigChange(changes, 'domainSettings') || hasConfigChange(changes, 'deviceModes');
+
+  if ((areaName === 'local' || areaName === 'sync') && (configChanged || changes.syncEnabled)) {
+    Promise.all([refreshHeaderRules(), refreshTabOverrideRules()]).catch((error) => {
+      console.error('Failed to refresh header rules:', error);
+    });
+  }
+});
+
+// Keep the rewritten Cookie header of overridden tabs in sync with the cookie jar,
+// and check that the site did not replace the cookies of the requested mode
+chrome.cookies.onChanged.addListener(({ cookie }) => {
+  refreshTabOverridesForCookie(cookie).catch((error) => {
+    console.error('Failed to refresh tab overrides:', error);
+  });
+  scheduleCookieCheck(cookie);
+});
+
+// Check page responses for sites that reset or ignore the requested mode
+chrome.webRequest.onHeadersReceived.addListener((details) => {
+  verifyMainFrameResponse(details).catch((error) => {
+    console.error('Failed to verify device mode:', error);
+  });
+}, { urls: ['<all_urls>'], types: ['main_frame'] }, ['responseHeaders', 'extraHeaders']);
+
+// Tell content scripts of single-page apps about history.pushState and replaceState,
+// which the page calls in its own world where the content scripts cannot see them
+chrome.webNavigation.onHistoryStateUpdated.addListener(({ tabId, frameId, url }) => {
+  if (frameId !== 0) {
+    return;
+  }
+
+  sendToTab(tabId, HISTORY_STATE_UPDATED, { url }).catch(() => {
+    // No content script on this page, nothing to refresh
+  });
+});
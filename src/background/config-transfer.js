@@ -0,0 +1,248 @@
+// Config transfer - export and import of the full configuration as a JSON file
+// Imported by the background service worker
+//
+// File layout:
+//   { format, schemaVersion, exportedAt, data: { allowlist, blocklist, deviceModes,
+//     cookieProfiles, domainSettings, preferences } }
+// Each data section is stored under the storage key of the same name. Files of an
+// older schema version go through the same upgrade steps as stored data.
+
+import { CONFIG_SCHEMA_VERSION, upgradeConfigItems } from './storage-migrations.js';
+import { writeConfig } from '../content/storage-areas.js';
+import {
+  DOMAIN_LISTS,
+  getDomainList,
+  getDeviceModes,
+  getCookieProfiles,
+  getAllDomainSettings,
+  getPreferences,
+  normalizeDomain,
+  normalizeSettingsDomain,
+  validateDeviceModes,
+  validateCookieProfile,
+  validateDomainSettings,
+  DEFAULT_DOMAIN_SETTINGS,
+  validatePreferences,
+} from '../content/storage-manager.js';
+
+const CONFIG_FILE_FORMAT = 'deviceoutput-switcher-config';
+const IMPORT_STRATEGIES = ['merge', 'replace'];
+
+// Sections of the file, in display order
+const CONFIG_SECTIONS = ['allowlist', 'blocklist', 'deviceModes', 'cookieProfiles', 'domainSettings', 'preferences'];
+
+/**
+ * Read the current configuration from storage
+ * @returns {Promise<Object>} Configuration keyed by section
+ */
+async function getConfigData() {
+  const [allowlist, blocklist, deviceModes, cookieProfiles, domainSettings, preferences] = await Promise.all([
+    getDomainList('allowlist'),
+    getDomainList('blocklist'),
+    getDeviceModes(),
+    getCookieProfiles(),
+    getAllDomainSettings(),
+    getPreferences(),
+  ]);
+
+  return { allowlist, blocklist, deviceModes, cookieProfiles, domainSettings, preferences };
+}
+
+/**
+ * Build the export file for the current configuration
+ * @returns {Promise<Object>} File contents, ready for JSON.stringify
+ */
+async function exportConfig() {
+  return {
+    format: CONFIG_FILE_FORMAT,
+    schemaVersion: CONFIG_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: await getConfigData(),
+  };
+}
+
+/**
+ * Check an imported file, upgrade it to the current schema and normalize its sections
+ * Sections missing from the file are left out of the result
+ * @param {Object} file - Parsed file contents
+ * @returns {Object} Normalized configuration keyed by section
+ * @throws {Error} Listing every problem found in the file
+ */
+function readConfigFile(file) {
+  if (!file || typeof file !== 'object' || file.format !== CONFIG_FILE_FORMAT) {
+    throw new Error('Not a Device Output Switcher configuration file');
+  }
+  if (!file.data || typeof file.data !== 'object' || Array.isArray(file.data)) {
+    throw new Error('The configuration file has no data');
+  }
+
+  const data = upgradeConfigItems(file.data, file.schemaVersion);
+  const config = {};
+  const errors = [];
+
+  // Run a validation step and collect its error instead of stopping at the first one
+  const check = (label, validate) => {
+    try {
+      return validate();
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+      return undefined;
+    }
+  };
+
+  Object.keys(data).forEach((section) => {
+    if (!CONFIG_SECTIONS.includes(section)) {
+      errors.push(`Unknown section "${section}"`);
+    }
+  });
+
+  DOMAIN_LISTS.forEach((list) => {
+    if (!(list in data)) return;
+
+    if (!Array.isArray(data[list])) {
+      errors.push(`${list}: must be a list of rules`);
+      return;
+    }
+
+    config[list] = [];
+    data[list].forEach((domain) => {
+      const rule = check(list, () => normalizeDomain(String(domain)));
+      if (rule !== undefined && !config[list].includes(rule)) {
+        config[list].push(rule);
+      }
+    });
+  });
+
+  if ('deviceModes' in data) {
+    config.deviceModes = check('deviceModes', () => validateDeviceModes(data.deviceModes));
+  }
+
+  [
+    ['cookieProfiles', validateCookieProfile],
+    ['domainSettings', (settings) => validateDomainSettings({ ...DEFAULT_DOMAIN_SETTINGS, ...settings })],
+  ].forEach(([section, validate]) => {
+    if (!(section in data)) return;
+
+    if (!data[section] || typeof data[section] !== 'object' || Array.isArray(data[section])) {
+      errors.push(`${section}: must be an object keyed by domain`);
+      return;
+    }
+
+    config[section] = {};
+    Object.entries(data[section]).forEach(([domain, entry]) => {
+      const key = check(section, () => normalizeSettingsDomain(domain));
+      const value = check(`${section} for ${domain}`, () => validate(entry));
+      if (key !== undefined && value !== undefined) {
+        config[section][key] = value;
+      }
+    });
+  });
+
+  if ('preferences' in data) {
+    config.preferences = check('preferences', () => validatePreferences({ ...data.preferences }));
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration file:\n${errors.join('\n')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Compare one section of the current configuration with the imported one
+ * Lists compare by entry, modes by id and objects by key
+ * @returns {{ added: string[], changed: string[], removed: string[] }}
+ */
+function diffConfigSection(section, current, incoming) {
+  if (DOMAIN_LISTS.includes(section)) {
+    return {
+      added: incoming.filter((rule) => !current.includes(rule)),
+      changed: [],
+      removed: current.filter((rule) => !incoming.includes(rule)),
+    };
+  }
+
+  const byKey = (value) => (section === 'deviceModes'
+    ? Object.fromEntries(value.map((mode) => [mode.id, mode]))
+    : value);
+  const before = byKey(current);
+  // Preferences are a fixed set of keys, missing ones keep their current value
+  const after = section === 'preferences' ? { ...current, ...incoming } : byKey(incoming);
+
+  return {
+    added: Object.keys(after).filter((key) => !(key in before)),
+    changed: Object.keys(after).filter((key) => key in before && JSON.stringify(after[key]) !== JSON.stringify(before[key])),
+    removed: Object.keys(before).filter((key) => !(key in after)),
+  };
+}
+
+/**
+ * Combine the current configuration with an imported one
+ * merge: imported entries are added and win over current ones with the same key,
+ * replace: imported sections take the place of the current ones.
+ * Sections missing from the file stay unchanged and preferences are always merged
+ * @returns {Object} New storage items
+ */
+function combineConfig(current, incoming, strategy) {
+  const items = {};
+
+  Object.entries(incoming).forEach(([section, value]) => {
+    if (strategy === 'replace' && section !== 'preferences') {
+      items[section] = value;
+    } else if (DOMAIN_LISTS.includes(section)) {
+      items[section] = [...current[section], ...value.filter((rule) => !current[section].includes(rule))];
+    } else if (section === 'deviceModes') {
+      const replaced = current.deviceModes.map((mode) => value.find((m) => m.id === mode.id) || mode);
+      const added = value.filter((mode) => !current.deviceModes.some((m) => m.id === mode.id));
+      items.deviceModes = validateDeviceModes([...replaced, ...added]);
+    } else {
+      items[section] = { ...current[section], ...value };
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Describe what importing a file would change
+ * @param {Object} file - Parsed file contents
+ * @returns {Promise<Object>} { schemaVersion, sections: { [section]: { added, changed, removed } } }
+ *   removed entries only go away when replacing
+ */
+async function previewConfigImport(file) {
+  const incoming = readConfigFile(file);
+  const current = await getConfigData();
+  const sections = {};
+
+  CONFIG_SECTIONS.filter((section) => section in incoming).forEach((section) => {
+    sections[section] = diffConfigSection(section, current[section], incoming[section]);
+  });
+
+  return { schemaVersion: file.schemaVersion, sections };
+}
+
+/**
+ * Import a configuration file
+ * @param {Object} file - Parsed file contents
+ * @param {string} strategy - merge or replace
+ * @returns {Promise<Object>} The storage items that were written
+ */
+async function importConfig(file, strategy) {
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid import strategy: "${strategy}"`);
+  }
+
+  const incoming = readConfigFile(file);
+  const items = combineConfig(await getConfigData(), incoming, strategy);
+
+  await writeConfig(items);
+
+  return items;
+}
+
+export {
+  exportConfig,
+  previewConfigImport,
+  importConfig,
+};
@@ -0,0 +1,209 @@
+// Cookie attributes - how device cookies are written for a site
+// Imported by the background service worker
+//
+// The cookieAttributes of the domain settings (see DEFAULT_COOKIE_ATTRIBUTES) turn into
+// the details of chrome.cookies.set here:
+//   - domain: the page's host, or a parent domain so all its subdomains share the cookie
+//   - path, and a lifetime (session cookies when 0)
+//   - SameSite, where none and partitioned (CHIPS) cookies are always Secure
+// Partitioned cookies are keyed by the cookie domain as top-level site, and cookies.get
+// only finds them with that key, so every read and write goes through this module.
+
+import { getCookieProfile, getDomainSettings } from '../content/storage-manager.js';
+
+// SameSite values as named by the cookies API
+const COOKIE_API_SAME_SITE = { lax: 'lax', strict: 'strict', none: 'no_restriction' };
+
+/**
+ * Get the partition key for a site's device cookies
+ * @param {string} url - Page URL
+ * @param {Object} attributes - Cookie attributes from the domain settings
+ * @returns {Object|undefined} Partition key, undefined for unpartitioned cookies
+ */
+function getCookiePartitionKey(url, attributes) {
+  if (!attributes.partitioned) {
+    return undefined;
+  }
+
+  const { hostname } = new URL(url);
+  return { topLevelSite: `https://${attributes.domain || hostname}` };
+}
+
+/**
+ * Build the cookies.set details for a device cookie
+ * @param {string} url - Page URL
+ * @param {Object} attributes - Cookie attributes from the domain settings
+ * @param {number} [now] - Current time in milliseconds, for the expiration date
+ * @returns {Object} Details without name and value
+ * @throws {Error} If the domain does not cover the page or the cookie needs HTTPS
+ */
+function resolveCookieAttributes(url, attributes, now = Date.now()) {
+  const { hostname, protocol } = new URL(url);
+  const domain = attributes.domain || hostname;
+
+  if (hostname !== domain && !hostname.endsWith(`.${domain}`)) {
+    throw new Error(`Cookie domain ${domain} does not include ${hostname}`);
+  }
+
+  const needsSecure = attributes.sameSite === 'none' || attributes.partitioned;
+  if (needsSecure && protocol !== 'https:') {
+    throw new Error('SameSite=None and partitioned cookies need HTTPS');
+  }
+
+  const details = {
+    url,
+    domain,
+    path: attributes.path,
+    secure: protocol === 'https:',
+    sameSite: COOKIE_API_SAME_SITE[attributes.sameSite],
+  };
+
+  if (attributes.maxAge > 0) {
+    details.expirationDate = Math.floor(now / 1000) + attributes.maxAge;
+  }
+
+  const partitionKey = getCookiePartitionKey(url, attributes);
+  if (partitionKey) {
+    details.partitionKey = partitionKey;
+  }
+
+  return details;
+}
+
+/**
+ * Get the cookie attributes configured for a page
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} Cookie attributes from the domain settings
+ */
+async function getCookieAttributes(url) {
+  const settings = await getDomainSettings(new URL(url).hostname);
+  return settings.cookieAttributes;
+}
+
+/**
+ * Get a specific cookie for a URL
+ * Partitioned device cookies are looked up in their partition
+ */
+async function getCookie(url, name) {
+  const partitionKey = getCookiePartitionKey(url, await getCookieAttributes(url));
+  return await chrome.cookies.get(partitionKey ? { url, name, partitionKey } : { url, name });
+}
+
+/**
+ * Set a cookie with the attributes configured for the site
+ */
+async function setCookie(url, name, value) {
+  const details = resolveCookieAttributes(url, await getCookieAttributes(url));
+
+  // Remove existing cookies first, they may have other attributes
+  await removeVisibleCookies(url, name, details.partitionKey);
+
+  return await chrome.cookies.set({ ...details, name, value });
+}
+
+/**
+ * Get the URL a stored cookie is set and removed through
+ */
+function getCookieUrl(cookie) {
+  return `${cookie.secure ? 'https' : 'http'}://${cookie.domain.replace(/^\./, '')}${cookie.path}`;
+}
+
+/**
+ * Get every cookie of a name that a page would see
+ * @param {string} url - Page URL
+ * @param {string} name - Cookie name
+ * @param {Object|undefined} partitionKey - Partition to look in as well
+ * @returns {Promise<Object[]>} Cookies as stored
+ */
+async function getVisibleCookies(url, name, partitionKey) {
+  return await chrome.cookies.getAll(partitionKey ? { url, name, partitionKey } : { url, name });
+}
+
+/**
+ * Remove every cookie of a name that a page would see, before writing it with new attributes
+ * Otherwise a cookie left on the host would shadow one moved to the parent domain
+ * @param {string} url - Page URL
+ * @param {string} name - Cookie name
+ * @param {Object|undefined} partitionKey - Partition to look in as well
+ */
+async function removeVisibleCookies(url, name, partitionKey) {
+  const cookies = await getVisibleCookies(url, name, partitionKey);
+
+  await Promise.allSettled(cookies.map((cookie) => {
+    const details = { url: getCookieUrl(cookie), name };
+    if (cookie.partitionKey) {
+      details.partitionKey = cookie.partitionKey;
+    }
+    return chrome.cookies.remove(details);
+  }));
+}
+
+/**
+ * Put back the cookies of a name as read by getVisibleCookies, dropping what was written since
+ * @param {string} url - Page URL
+ * @param {string} name - Cookie name
+ * @param {Object[]} cookies - Cookies as they were, with their own attributes
+ * @param {Object|undefined} partitionKey - Partition to look in as well
+ */
+async function restoreVisibleCookies(url, name, cookies, partitionKey) {
+  await removeVisibleCookies(url, name, partitionKey);
+
+  await Promise.all(cookies.map((cookie) => {
+    const details = {
+      url: getCookieUrl(cookie),
+      name,
+      value: cookie.value,
+      path: cookie.path,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      sameSite: cookie.sameSite,
+    };
+    // Host-only cookies are set without a domain, session cookies without an expiration date
+    if (!cookie.hostOnly) {
+      details.domain = cookie.domain;
+    }
+    if (!cookie.session) {
+      details.expirationDate = cookie.expirationDate;
+    }
+    if (cookie.partitionKey) {
+      details.partitionKey = cookie.partitionKey;
+    }
+    return chrome.cookies.set(details);
+  }));
+}
+
+/**
+ * Describe the device cookies of a page for the card's details view
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} { attributes, error, cookies } - error explains why cookies cannot be
+ *   set with the attributes, cookies are the profile cookies as stored (null when missing)
+ */
+async function getCookieDetails(url) {
+  const [attributes, profile] = await Promise.all([getCookieAttributes(url), getCookieProfile(new URL(url).hostname)]);
+  let error = null;
+
+  try {
+    resolveCookieAttributes(url, attributes);
+  } catch (e) {
+    error = e.message;
+  }
+
+  const cookies = await Promise.all(profile.cookies.map(async ({ name }) => {
+    const cookie = await getCookie(url, name);
+    return { name, cookie: cookie || null };
+  }));
+
+  return { attributes, error, cookies };
+}
+
+export {
+  getCookiePartitionKey,
+  resolveCookieAttributes,
+  getCookieAttributes,
+  getCookie,
+  setCookie,
+  getVisibleCookies,
+  removeVisibleCookies,
+  restoreVisibleCookies,
+  getCookieDetails,
+};
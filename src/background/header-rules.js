@@ -0,0 +1,159 @@
+// Header rules - request header and User-Agent based switching
+// Imported by the background service worker
+//
+// For sites that pick their output from a request header or the User-Agent,
+// the selected mode is applied with a declarativeNetRequest dynamic rule per
+// hostname. Dynamic rules survive browser restarts, like the device cookies.
+
+import { ALL_RESOURCE_TYPES } from '../shared/constants.js';
+import { getDeviceModes, getDomainSettings } from '../content/storage-manager.js';
+
+const HEADER_OVERRIDES_KEY = 'headerOverrides';
+
+/**
+ * Get all header overrides
+ * @returns {Promise<Object<string, Object>>} Overrides as { deviceType, ruleId } keyed by hostname
+ */
+async function getHeaderOverrides() {
+  const result = await chrome.storage.local.get(HEADER_OVERRIDES_KEY);
+  return result[HEADER_OVERRIDES_KEY] || {};
+}
+
+/**
+ * Save all header overrides
+ * @param {Object<string, Object>} overrides - Overrides keyed by hostname
+ */
+async function saveHeaderOverrides(overrides) {
+  await chrome.storage.local.set({ [HEADER_OVERRIDES_KEY]: overrides });
+}
+
+/**
+ * Get the mode currently applied through headers for a hostname
+ * @param {string} hostname - Page hostname
+ * @returns {Promise<string|null>} Mode id or null
+ */
+async function getHeaderDevice(hostname) {
+  const overrides = await getHeaderOverrides();
+  return overrides[hostname] ? overrides[hostname].deviceType : null;
+}
+
+/**
+ * Build the header modifications for a mode according to the site's switching methods
+ * Shared with tab overrides, which apply the same headers to a single tab
+ * @param {Object} settings - Effective domain settings
+ * @param {Object} mode - Device mode
+ * @returns {Object[]} declarativeNetRequest requestHeaders entries
+ */
+function buildDeviceRequestHeaders(settings, mode) {
+  const headers = [];
+
+  if (settings.switchMethods.includes('header')) {
+    headers.push({ header: settings.headerName, operation: 'set', value: mode.value });
+  }
+
+  // Modes without a User-Agent keep the browser's own
+  if (settings.switchMethods.includes('userAgent') && mode.userAgent) {
+    headers.push({ header: 'user-agent', operation: 'set', value: mode.userAgent });
+  }
+
+  return headers;
+}
+
+/**
+ * Apply a mode to all requests to a hostname through request headers
+ * @param {string} url - Page URL
+ * @param {string} deviceType - Mode id
+ * @returns {Promise<Object|null>} Stored override, or null if the site uses no header methods
+ */
+async function setHeaderDevice(url, deviceType) {
+  const hostname = new URL(url).hostname;
+  const modes = await getDeviceModes();
+
+  if (!modes.some((mode) => mode.id === deviceType)) {
+    throw new Error(`Invalid device type: ${deviceType}`);
+  }
+
+  const overrides = await getHeaderOverrides();
+  const ruleId = overrides[hostname] ? overrides[hostname].ruleId : await allocateHeaderRuleId(overrides);
+
+  overrides[hostname] = { deviceType, ruleId };
+  await saveHeaderOverrides(overrides);
+  await updateHeaderRule(hostname, overrides[hostname]);
+
+  return overrides[hostname];
+}
+
+/**
+ * Remove the header override of a hostname
+ * @param {string} hostname - Page hostname
+ */
+async function clearHeaderDevice(hostname) {
+  const overrides = await getHeaderOverrides();
+  const override = overrides[hostname];
+
+  if (!override) {
+    return;
+  }
+
+  delete overrides[hostname];
+  await saveHeaderOverrides(overrides);
+  await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: [override.ruleId] });
+}
+
+/**
+ * Pick a dynamic rule id that is not in use
+ */
+async function allocateHeaderRuleId(overrides) {
+  const rules = await chrome.declarativeNetRequest.getDynamicRules();
+  const used = new Set([
+    ...rules.map((rule) => rule.id),
+    ...Object.values(overrides).map((override) => override.ruleId),
+  ]);
+
+  let id = 1;
+  while (used.has(id)) {
+    id++;
+  }
+  return id;
+}
+
+/**
+ * Create or replace the dynamic rule of a hostname from its current settings
+ * Removes the rule when the site no longer uses a header method
+ */
+async function updateHeaderRule(hostname, override) {
+  const [settings, modes] = await Promise.all([getDomainSettings(hostname), getDeviceModes()]);
+  const mode = modes.find((m) => m.id === override.deviceType);
+  const requestHeaders = mode ? buildDeviceRequestHeaders(settings, mode) : [];
+  const update = { removeRuleIds: [override.ruleId] };
+
+  if (requestHeaders.length > 0) {
+    update.addRules = [{
+      id: override.ruleId,
+      priority: 1,
+      action: { type: 'modifyHeaders', requestHeaders },
+      condition: {
+        requestDomains: [hostname],
+        resourceTypes: ALL_RESOURCE_TYPES,
+      },
+    }];
+  }
+
+  await chrome.declarativeNetRequest.updateDynamicRules(update);
+}
+
+/**
+ * Rebuild all header rules, e.g. after switching methods, header names or modes changed
+ */
+async function refreshHeaderRules() {
+  const overrides = await getHeaderOverrides();
+  await Promise.all(Object.entries(overrides).map(([hostname, override]) => updateHeaderRule(hostname, override)));
+}
+
+export {
+  buildDeviceRequestHeaders,
+  getHeaderDevice,
+  setHeaderDevice,
+  clearHeaderDevice,
+  refreshHeaderRules,
+};
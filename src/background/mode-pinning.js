@@ -0,0 +1,135 @@
+// Mode pinning - keeps the requested mode when a site overwrites its cookies
+// Imported by the background service worker
+//
+// For sites with pinMode in their domain settings, the profile cookies of the
+// requested mode (see requested-modes.js) are written back whenever the site
+// changes them, e.g. on login or after a redirect. Every restore is logged.
+//
+// A site that keeps changing the cookie would fight the pin forever, so after
+// PIN_MAX_RESTORES restores of one cookie within PIN_WINDOW_MS the pin pauses for
+// that cookie and the mismatch badge is shown instead. It resumes once the window
+// has passed or the user switches modes again.
+
+import { PIN_RESTORED } from '../shared/constants.js';
+import { sendToTab } from '../shared/messaging.js';
+import { getCookie, setCookie } from './cookie-attributes.js';
+import { REQUESTED_MODES_ITEM } from './requested-modes.js';
+import { defineStorageItem } from '../content/storage-areas.js';
+import {
+  getCookieProfile,
+  getDeviceModes,
+  getDomainSettings,
+  resolveCookieValue,
+} from '../content/storage-manager.js';
+
+const PIN_LOG_KEY = 'pinLog';
+const PIN_LOG_LIMIT = 50;
+const PIN_MAX_RESTORES = 3;
+const PIN_WINDOW_MS = 60 * 1000;
+
+// Restores of this browser session, oldest first, as
+// { hostname, name, value, restored, at } - value is what the site set (null when removed),
+// restored the value written back. Pauses are logged with paused: true instead of restored
+const PIN_LOG_ITEM = defineStorageItem(PIN_LOG_KEY, { area: 'session', type: 'array', fallback: () => [] });
+
+/**
+ * Get the restore log of a site
+ * @param {string} hostname - Site hostname
+ * @returns {Promise<Object[]>} Log entries, oldest first
+ */
+async function getPinLog(hostname) {
+  const log = await PIN_LOG_ITEM.get();
+  return log.filter((entry) => entry.hostname === hostname);
+}
+
+/**
+ * Add an entry to the restore log, dropping the oldest ones over PIN_LOG_LIMIT
+ * @param {Object} entry - Log entry
+ */
+async function addPinLogEntry(entry) {
+  await PIN_LOG_ITEM.update((log) => [...log, entry].slice(-PIN_LOG_LIMIT));
+}
+
+/**
+ * Tell the cards of a site about a restore or pause
+ * @param {string} hostname - Site hostname
+ * @param {Object} entry - Log entry
+ */
+async function notifyPinTabs(hostname, entry) {
+  const tabs = await chrome.tabs.query({});
+
+  await Promise.allSettled(tabs
+    .filter((tab) => {
+      try {
+        return new URL(tab.url).hostname === hostname;
+      } catch {
+        return false;
+      }
+    })
+    .map((tab) => sendToTab(tab.id, PIN_RESTORED, { entry })));
+}
+
+/**
+ * Restore the pinned cookies of the sites a cookie change belongs to
+ * @param {string} cookieDomain - Domain of the changed cookies, without leading dot
+ * @param {Set<string>} names - Names of the changed cookies
+ * @returns {Promise<boolean>} True if a cookie was restored
+ */
+async function enforcePinnedModes(cookieDomain, names) {
+  const [requestedModes, modes, log] = await Promise.all([REQUESTED_MODES_ITEM.get(), getDeviceModes(), PIN_LOG_ITEM.get()]);
+  const now = Date.now();
+  let restored = false;
+
+  const hostnames = Object.keys(requestedModes)
+    .filter((hostname) => hostname === cookieDomain || hostname.endsWith(`.${cookieDomain}`));
+
+  for (const hostname of hostnames) {
+    const requested = requestedModes[hostname];
+    const mode = modes.find((m) => m.id === requested.deviceType);
+    const [settings, profile] = await Promise.all([getDomainSettings(hostname), getCookieProfile(hostname)]);
+
+    if (!mode || !settings.pinMode || !settings.switchMethods.includes('cookie')) {
+      continue;
+    }
+
+    // Cookies with a custom path are only visible below it
+    const cookieUrl = new URL(settings.cookieAttributes.path, requested.url).href;
+
+    for (const profileCookie of profile.cookies.filter((c) => names.has(c.name))) {
+      const expected = resolveCookieValue(profileCookie, mode);
+      const cookie = await getCookie(cookieUrl, profileCookie.name);
+
+      if (cookie && cookie.value === expected) {
+        continue;
+      }
+
+      // Loop protection: only count entries since the last switch and within the window
+      const since = Math.max(now - PIN_WINDOW_MS, requested.requestedAt);
+      const recent = log.filter((entry) => entry.hostname === hostname && entry.name === profileCookie.name && entry.at > since);
+
+      if (recent.some((entry) => entry.paused)) {
+        continue;
+      }
+
+      const entry = { hostname, name: profileCookie.name, value: cookie ? cookie.value : null, at: now };
+
+      if (recent.length >= PIN_MAX_RESTORES) {
+        entry.paused = true;
+      } else {
+        await setCookie(cookieUrl, profileCookie.name, expected);
+        entry.restored = expected;
+        restored = true;
+      }
+
+      await addPinLogEntry(entry);
+      await notifyPinTabs(hostname, entry);
+    }
+  }
+
+  return restored;
+}
+
+export {
+  enforcePinnedModes,
+  getPinLog,
+};
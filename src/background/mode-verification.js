@@ -0,0 +1,243 @@
+// Mode verification - checks that a site kept and served the mode the user asked for
+// Imported by the background service worker
+//
+// The content script reads the mode back from the cookies, so a site that replaces
+// them with Set-Cookie looks as if the user had switched. The requested mode of the
+// site (see requested-modes.js) or of the tab override is compared with:
+//   - the cookie jar, whenever one of the site's profile cookies changes
+//   - main-frame responses: a Set-Cookie for a profile cookie, or the site's device
+//     header sent back with the value of another mode (sites can echo the header
+//     to confirm the mode they served)
+// A difference is stored per tab as a mismatch and pushed to the tab's card.
+// Sites with pin mode get their cookies restored instead (see mode-pinning.js).
+
+import { getCookie } from './cookie-attributes.js';
+import { enforcePinnedModes } from './mode-pinning.js';
+import { REQUESTED_MODES_ITEM, getModeMismatch, setModeMismatch } from './requested-modes.js';
+import { getTabOverride } from './tab-overrides.js';
+import {
+  getCookieProfile,
+  getDeviceModes,
+  getDomainSettings,
+  resolveCookieValue,
+  resolveDeviceType,
+} from '../content/storage-manager.js';
+
+// Cookie changes come in bursts (switching removes and sets every profile cookie),
+// the jar is checked once they settled
+const COOKIE_CHECK_DELAY_MS = 500;
+
+// Pending cookie checks keyed by cookie domain, as { timer, names }
+const pendingCookieChecks = new Map();
+
+/**
+ * Get the mode a tab should be showing
+ * @param {number} tabId - Tab id
+ * @param {string} url - Page URL of the tab
+ * @returns {Promise<{ deviceType: string, isolated: boolean }|null>} Requested mode, isolated when set by a tab override
+ */
+async function getRequestedMode(tabId, url) {
+  const override = await getTabOverride(tabId, url);
+  if (override && override.deviceType) {
+    return { deviceType: override.deviceType, isolated: true };
+  }
+
+  const requested = (await REQUESTED_MODES_ITEM.get())[new URL(url).hostname];
+  return requested ? { deviceType: requested.deviceType, isolated: false } : null;
+}
+
+/**
+ * Compare the profile cookies in the cookie jar with the requested mode
+ * @param {string} url - Page URL
+ * @param {Object} mode - Requested mode
+ * @returns {Promise<Object|null>} Mismatch or null
+ */
+async function checkCookieJar(url, mode) {
+  const hostname = new URL(url).hostname;
+  const [profile, modes] = await Promise.all([getCookieProfile(hostname), getDeviceModes()]);
+
+  for (const profileCookie of profile.cookies) {
+    const cookie = await getCookie(url, profileCookie.name);
+    const expected = resolveCookieValue(profileCookie, mode);
+
+    if (!cookie || cookie.value !== expected) {
+      return {
+        hostname,
+        expected: mode.id,
+        actual: cookie ? resolveDeviceType(profileCookie, cookie.value, modes) : null,
+        source: 'cookie',
+        reason: cookie
+          ? `Cookie ${profileCookie.name} was changed to "${cookie.value}"`
+          : `Cookie ${profileCookie.name} was removed`,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a Set-Cookie header value
+ * @param {string} header - Header value
+ * @returns {{ name: string, value: string, deleted: boolean }|null}
+ */
+function parseSetCookie(header) {
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator === -1) {
+    return null;
+  }
+
+  const deleted = attributes.some((attribute) => {
+    const [key, value = ''] = attribute.trim().split('=');
+    const name = key.toLowerCase();
+    return (name === 'max-age' && Number(value) <= 0) || (name === 'expires' && Date.parse(value) <= Date.now());
+  });
+
+  return { name: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim(), deleted };
+}
+
+/**
+ * Look for signs in a main-frame response that the site reset or ignored the mode
+ * @param {string} url - Response URL
+ * @param {Object} mode - Requested mode
+ * @param {boolean} isolated - Whether the tab sends its own cookies (Set-Cookie does not affect it)
+ * @param {Array<{ name: string, value: string }>} responseHeaders - Headers from webRequest
+ * @returns {Promise<Object|null>} Mismatch or null
+ */
+async function checkResponse(url, mode, isolated, responseHeaders) {
+  const hostname = new URL(url).hostname;
+  const [profile, modes, settings] = await Promise.all([
+    getCookieProfile(hostname),
+    getDeviceModes(),
+    getDomainSettings(hostname),
+  ]);
+  const mismatch = (actual, reason) => ({ hostname, expected: mode.id, actual, source: 'response', reason });
+
+  for (const { name, value = '' } of responseHeaders) {
+    const header = name.toLowerCase();
+
+    if (header === 'set-cookie' && !isolated && settings.switchMethods.includes('cookie')) {
+      const cookie = parseSetCookie(value);
+      const profileCookie = cookie && profile.cookies.find((c) => c.name === cookie.name);
+
+      if (profileCookie && cookie.deleted) {
+        return mismatch(null, `The site removed cookie ${cookie.name}`);
+      }
+      if (profileCookie && cookie.value !== resolveCookieValue(profileCookie, mode)) {
+        return mismatch(resolveDeviceType(profileCookie, cookie.value, modes), `The site set cookie ${cookie.name} to "${cookie.value}"`);
+      }
+    }
+
+    if (header === settings.headerName.toLowerCase() && value !== mode.value) {
+      const served = modes.find((m) => m.value === value);
+      return mismatch(served ? served.id : null, `The site answered with ${name}: ${value}`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Verify a tab after a main-frame response
+ * Called before the response's cookies reach the cookie jar, the jar is checked
+ * only when the response leaves the profile cookies alone
+ * @param {Object} details - webRequest.onHeadersReceived details
+ */
+async function verifyMainFrameResponse(details) {
+  if (details.tabId < 0) {
+    return;
+  }
+
+  const requested = await getRequestedMode(details.tabId, details.url);
+  const mode = requested && (await getDeviceModes()).find((m) => m.id === requested.deviceType);
+
+  if (!mode) {
+    await setModeMismatch(details.tabId, null);
+    return;
+  }
+
+  let mismatch = await checkResponse(details.url, mode, requested.isolated, details.responseHeaders || []);
+  const settings = await getDomainSettings(new URL(details.url).hostname);
+
+  if (!mismatch && !requested.isolated && settings.switchMethods.includes('cookie')) {
+    mismatch = await checkCookieJar(details.url, mode);
+  }
+
+  await setModeMismatch(details.tabId, mismatch);
+}
+
+/**
+ * Verify the tabs of a site once its cookie changes have settled
+ * @param {Object} cookie - Changed cookie from cookies.onChanged
+ */
+function scheduleCookieCheck(cookie) {
+  const cookieDomain = cookie.domain.replace(/^\./, '');
+  const pending = pendingCookieChecks.get(cookieDomain) || { timer: null, names: new Set() };
+
+  clearTimeout(pending.timer);
+  pending.names.add(cookie.name);
+  pending.timer = setTimeout(async () => {
+    pendingCookieChecks.delete(cookieDomain);
+
+    try {
+      // Pinned sites get their cookies back, the restore triggers its own check
+      if (!(await enforcePinnedModes(cookieDomain, pending.names))) {
+        await verifyTabsForCookies(cookieDomain, pending.names);
+      }
+    } catch (error) {
+      console.error('Failed to verify device mode:', error);
+    }
+  }, COOKIE_CHECK_DELAY_MS);
+
+  pendingCookieChecks.set(cookieDomain, pending);
+}
+
+/**
+ * Verify the tabs of a site after some of its cookies changed
+ * Tabs with an override send their own cookies and are not affected
+ * @param {string} cookieDomain - Domain of the changed cookies, without leading dot
+ * @param {Set<string>} names - Names of the changed cookies
+ */
+async function verifyTabsForCookies(cookieDomain, names) {
+  const [tabs, modes] = await Promise.all([chrome.tabs.query({}), getDeviceModes()]);
+
+  await Promise.all(tabs.map(async (tab) => {
+    let hostname;
+    try {
+      hostname = new URL(tab.url).hostname;
+    } catch {
+      return;
+    }
+
+    if (hostname !== cookieDomain && !hostname.endsWith(`.${cookieDomain}`)) {
+      return;
+    }
+
+    const [requested, profile, settings] = await Promise.all([
+      getRequestedMode(tab.id, tab.url),
+      getCookieProfile(hostname),
+      getDomainSettings(hostname),
+    ]);
+    const mode = requested && modes.find((m) => m.id === requested.deviceType);
+
+    if (!mode || requested.isolated || !settings.switchMethods.includes('cookie') ||
+      !profile.cookies.some((c) => names.has(c.name))) {
+      return;
+    }
+
+    // A response mismatch names the cause, keep it while the jar agrees with it
+    const mismatch = await checkCookieJar(tab.url, mode);
+    const current = await getModeMismatch(tab.id, tab.url);
+    if (mismatch && current && current.actual === mismatch.actual) {
+      return;
+    }
+
+    await setModeMismatch(tab.id, mismatch);
+  }));
+}
+
+export {
+  scheduleCookieCheck,
+  verifyMainFrameResponse,
+};
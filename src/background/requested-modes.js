@@ -0,0 +1,117 @@
+// Requested modes - the mode the user asked for per site, and where tabs differ from it
+// Imported by the background service worker
+//
+// Switching stores the requested mode here, mode-verification.js compares the site
+// with it and records a mismatch per tab, mode-pinning.js restores its cookies.
+
+import { MODE_MISMATCH } from '../shared/constants.js';
+import { sendToTab } from '../shared/messaging.js';
+import { defineStorageItem } from '../content/storage-areas.js';
+
+const REQUESTED_MODES_KEY = 'requestedModes';
+const MODE_MISMATCHES_KEY = 'modeMismatches';
+
+// Last mode requested per hostname as { deviceType, url, requestedAt }, kept like the cookies
+const REQUESTED_MODES_ITEM = defineStorageItem(REQUESTED_MODES_KEY, { area: 'local', type: 'object', fallback: () => ({}) });
+
+// Mismatch per tab id as { hostname, expected, actual, source, reason }
+const MODE_MISMATCHES_ITEM = defineStorageItem(MODE_MISMATCHES_KEY, { area: 'session', type: 'object', fallback: () => ({}) });
+
+/**
+ * Remember the mode requested for a site and forget the mismatches of its tabs
+ * The next cookie change or page load verifies the new mode
+ * @param {string} url - Page URL
+ * @param {string} deviceType - Requested mode id
+ */
+async function setRequestedMode(url, deviceType) {
+  const { hostname, origin } = new URL(url);
+  await REQUESTED_MODES_ITEM.update((requested) => ({
+    ...requested,
+    [hostname]: { deviceType, url: `${origin}/`, requestedAt: Date.now() },
+  }));
+
+  await clearSiteMismatches(hostname);
+}
+
+/**
+ * Forget the mode requested for a site, it is back to the server's default
+ * Nothing is verified or pinned until a mode is requested again
+ * @param {string} url - Page URL
+ */
+async function clearRequestedMode(url) {
+  const { hostname } = new URL(url);
+  await REQUESTED_MODES_ITEM.update(({ [hostname]: removed, ...requested }) => requested);
+
+  await clearSiteMismatches(hostname);
+}
+
+/**
+ * Forget the mismatches of every tab of a site
+ * @param {string} hostname - Site hostname
+ */
+async function clearSiteMismatches(hostname) {
+  const mismatches = await MODE_MISMATCHES_ITEM.get();
+  const tabIds = Object.keys(mismatches).filter((tabId) => mismatches[tabId].hostname === hostname);
+  await Promise.all(tabIds.map((tabId) => setModeMismatch(Number(tabId), null)));
+}
+
+/**
+ * Get the stored mismatch of a tab
+ * @param {number} tabId - Tab id
+ * @param {string} url - Page URL the content script is running on
+ * @returns {Promise<Object|null>} Mismatch, or null when the tab shows the requested mode
+ */
+async function getModeMismatch(tabId, url) {
+  const mismatches = await MODE_MISMATCHES_ITEM.get();
+  const mismatch = mismatches[tabId];
+
+  return mismatch && mismatch.hostname === new URL(url).hostname ? mismatch : null;
+}
+
+/**
+ * Store the mismatch of a tab and tell its card when it changed
+ * @param {number} tabId - Tab id
+ * @param {Object|null} mismatch - New mismatch, null to clear it
+ */
+async function setModeMismatch(tabId, mismatch) {
+  const mismatches = await MODE_MISMATCHES_ITEM.get();
+
+  if (JSON.stringify(mismatches[tabId] || null) === JSON.stringify(mismatch)) {
+    return;
+  }
+
+  if (mismatch) {
+    mismatches[tabId] = mismatch;
+  } else {
+    delete mismatches[tabId];
+  }
+  await MODE_MISMATCHES_ITEM.set(mismatches);
+
+  try {
+    await sendToTab(tabId, MODE_MISMATCH, { mismatch });
+  } catch {
+    // No content script (yet), it asks for the mismatch when it starts
+  }
+}
+
+/**
+ * Forget the mismatch of a closed tab
+ * @param {number} tabId - Tab id
+ */
+async function clearModeMismatch(tabId) {
+  const mismatches = await MODE_MISMATCHES_ITEM.get();
+
+  if (mismatches[tabId]) {
+    delete mismatches[tabId];
+    await MODE_MISMATCHES_ITEM.set(mismatches);
+  }
+}
+
+export {
+  REQUESTED_MODES_ITEM,
+  setRequestedMode,
+  clearRequestedMode,
+  getModeMismatch,
+  setModeMismatch,
+  clearModeMismatch,
+};
@@ -0,0 +1,207 @@
+// Storage migrations - versioned upgrades of the stored configuration
+// Imported by the background service worker
+//
+// The layout of the stored configuration has a schema version, kept in local storage.
+// When the extension is installed or updated, runMigrations applies every step newer
+// than the stored version, in order. The configuration as it was before is kept as a
+// backup, which rollbackMigration restores (e.g. before going back to an older release).
+// Exported files carry the same version and go through the same steps on import.
+//
+// Adding a step: bump CONFIG_SCHEMA_VERSION and append it to CONFIG_MIGRATIONS.
+// A step takes the configuration items of the previous version (storage key -> value)
+// and returns the new items. Steps never touch storage themselves, and must leave
+// items that already have the new layout unchanged.
+
+import {
+  CONFIG_KEYS,
+  defineStorageItem,
+  getStorageItems,
+  setStorageItems,
+  removeStorageItems,
+  readConfig,
+  writeConfig,
+  removeConfig,
+} from '../content/storage-areas.js';
+
+// 1: single domainWhitelist, 2: allowlist and blocklist with an activation mode
+const CONFIG_SCHEMA_VERSION = 2;
+
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+const STORAGE_BACKUP_KEY = 'storageBackup';
+
+// Before activation modes, the only list was a whitelist that allowed every site while empty
+const LEGACY_WHITELIST_KEY = 'domainWhitelist';
+
+// Keys of older layouts, these only ever lived in local storage
+const LEGACY_KEYS = [LEGACY_WHITELIST_KEY];
+
+// Upgrade steps in order, each produces the given version
+const CONFIG_MIGRATIONS = [
+  { version: 2, description: 'Move the domain whitelist to the allowlist', upgrade: upgradeDomainWhitelist },
+];
+
+// Version of the stored configuration, null for installs from before it was stored
+const SCHEMA_VERSION_ITEM = defineStorageItem(SCHEMA_VERSION_KEY, { area: 'local', type: 'number', fallback: () => null });
+
+// Configuration before the last migration as { schemaVersion, createdAt, items }
+const STORAGE_BACKUP_ITEM = defineStorageItem(STORAGE_BACKUP_KEY, { area: 'local', type: 'object', fallback: () => null });
+
+/**
+ * Upgrade configuration items from an older schema version to the current one
+ * Used for stored data and for imported files alike
+ * @param {Object} items - Configuration items keyed by storage key
+ * @param {number} fromVersion - Schema version of the items
+ * @returns {Object} Items in the current schema version
+ * @throws {Error} If the version is unknown or newer than this extension
+ */
+function upgradeConfigItems(items, fromVersion) {
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new Error(`Invalid schema version: "${fromVersion}"`);
+  }
+  if (fromVersion > CONFIG_SCHEMA_VERSION) {
+    throw new Error(`Schema version ${fromVersion} is newer than this extension supports (${CONFIG_SCHEMA_VERSION})`);
+  }
+
+  return CONFIG_MIGRATIONS
+    .filter((migration) => migration.version > fromVersion)
+    .reduce((upgraded, migration) => migration.upgrade(upgraded), { ...items });
+}
+
+/**
+ * Upgrade step 1 -> 2: move domainWhitelist into the allowlist and pick the matching activation mode
+ * A non-empty whitelist becomes allowlist mode, an empty one (active everywhere) blocklist mode
+ * @param {Object} items - Version 1 configuration items
+ * @returns {Object} Version 2 configuration items
+ */
+function upgradeDomainWhitelist(items) {
+  if (!(LEGACY_WHITELIST_KEY in items)) {
+    return items;
+  }
+
+  const { [LEGACY_WHITELIST_KEY]: legacy, ...upgraded } = items;
+  const whitelist = Array.isArray(legacy) ? legacy : [];
+  const allowlist = Array.isArray(upgraded.allowlist) ? [...upgraded.allowlist] : [];
+
+  whitelist.forEach((domain) => {
+    if (!allowlist.includes(domain)) {
+      allowlist.push(domain);
+    }
+  });
+
+  return {
+    ...upgraded,
+    allowlist,
+    preferences: {
+      ...(upgraded.preferences || {}),
+      activationMode: whitelist.length > 0 ? 'allowlist' : 'blocklist',
+    },
+  };
+}
+
+/**
+ * Read every stored item a migration may change
+ * @returns {Promise<Object>} Legacy items and configuration items keyed by storage key
+ */
+async function readMigratedItems() {
+  const [legacy, config] = await Promise.all([getStorageItems('local', LEGACY_KEYS), readConfig(CONFIG_KEYS)]);
+  return { ...legacy, ...config };
+}
+
+/**
+ * Store migrated items in place of the previous ones
+ * Configuration items go to the active storage area, any others to local storage.
+ * Keys of the previous items that are missing from the new ones are removed
+ * @param {Object} items - Items to store
+ * @param {Object} previous - Items currently stored
+ */
+async function writeMigratedItems(items, previous) {
+  const isConfigKey = (key) => CONFIG_KEYS.includes(key);
+  const entries = Object.entries(items);
+  const removed = Object.keys(previous).filter((key) => !(key in items));
+
+  // Write before removing, so an interrupted migration never loses data
+  await writeConfig(Object.fromEntries(entries.filter(([key]) => isConfigKey(key))));
+  await setStorageItems('local', Object.fromEntries(entries.filter(([key]) => !isConfigKey(key))));
+  await removeConfig(removed.filter(isConfigKey));
+  await removeStorageItems('local', removed.filter((key) => !isConfigKey(key)));
+}
+
+/**
+ * Bring the stored configuration up to CONFIG_SCHEMA_VERSION
+ * Keeps a backup of the previous configuration and puts it back if a step fails
+ * @returns {Promise<Object>} { fromVersion, toVersion, migrated }
+ * @throws {Error} If the stored configuration is newer than this extension or a step fails
+ */
+async function runMigrations() {
+  const items = await readMigratedItems();
+  let fromVersion = await SCHEMA_VERSION_ITEM.get();
+
+  if (fromVersion === null) {
+    // Earlier releases did not store the schema version. Fresh installs start at the
+    // current one, anything else runs every step (which leave up-to-date items alone)
+    fromVersion = Object.keys(items).length > 0 ? 1 : CONFIG_SCHEMA_VERSION;
+  }
+
+  if (fromVersion === CONFIG_SCHEMA_VERSION) {
+    await SCHEMA_VERSION_ITEM.set(fromVersion);
+    return { fromVersion, toVersion: fromVersion, migrated: false };
+  }
+
+  const upgraded = upgradeConfigItems(items, fromVersion);
+
+  await STORAGE_BACKUP_ITEM.set({ schemaVersion: fromVersion, createdAt: new Date().toISOString(), items });
+
+  try {
+    await writeMigratedItems(upgraded, items);
+    await SCHEMA_VERSION_ITEM.set(CONFIG_SCHEMA_VERSION);
+  } catch (error) {
+    // Leave the old layout in place, the next update runs the migration again
+    await writeMigratedItems(items, upgraded);
+    throw error;
+  }
+
+  return { fromVersion, toVersion: CONFIG_SCHEMA_VERSION, migrated: true };
+}
+
+/**
+ * Restore the configuration from before the last migration
+ * The stored schema version goes back with it, so the restored data is upgraded again
+ * when this version of the extension is next installed or updated
+ * @returns {Promise<Object>} { schemaVersion } of the restored configuration
+ * @throws {Error} If there is no backup
+ */
+async function rollbackMigration() {
+  const backup = await STORAGE_BACKUP_ITEM.get();
+
+  if (!backup || !backup.items) {
+    throw new Error('There is no backup to restore');
+  }
+
+  await writeMigratedItems(backup.items, await readMigratedItems());
+  await SCHEMA_VERSION_ITEM.set(backup.schemaVersion);
+  await removeStorageItems('local', [STORAGE_BACKUP_KEY]);
+
+  return { schemaVersion: backup.schemaVersion };
+}
+
+/**
+ * Describe the stored schema version and backup, for the options page
+ * @returns {Promise<Object>} { schemaVersion, currentVersion, backup: { schemaVersion, createdAt } | null }
+ */
+async function getStorageInfo() {
+  const [schemaVersion, backup] = await Promise.all([SCHEMA_VERSION_ITEM.get(), STORAGE_BACKUP_ITEM.get()]);
+
+  return {
+    schemaVersion,
+    currentVersion: CONFIG_SCHEMA_VERSION,
+    backup: backup ? { schemaVersion: backup.schemaVersion, createdAt: backup.createdAt } : null,
+  };
+}
+
+export {
+  CONFIG_SCHEMA_VERSION,
+  upgradeConfigItems,
+  runMigrations,
+  rollbackMigration,
+  getStorageInfo,
+};
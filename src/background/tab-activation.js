@@ -0,0 +1,73 @@
+// Tab activation - manual per-tab activation from the toolbar
+// Imported by the background service worker
+//
+// In the "manual" activation mode the switcher stays off until it is turned on
+// for a tab from the popup. The activation is kept for the browser session and
+// only applies while the tab stays on the same hostname.
+
+const ACTIVE_TABS_KEY = 'activeTabs';
+
+/**
+ * Get all activated tabs for this browser session
+ * @returns {Promise<Object<string, string>>} Activated hostname keyed by tab id
+ */
+async function getActiveTabs() {
+  const result = await chrome.storage.session.get(ACTIVE_TABS_KEY);
+  return result[ACTIVE_TABS_KEY] || {};
+}
+
+/**
+ * Save all activated tabs
+ * @param {Object<string, string>} activeTabs - Activated hostname keyed by tab id
+ */
+async function saveActiveTabs(activeTabs) {
+  await chrome.storage.session.set({ [ACTIVE_TABS_KEY]: activeTabs });
+}
+
+/**
+ * Check whether a tab was activated for the given URL
+ * @param {number} tabId - Tab id
+ * @param {string} url - Page URL the content script is running on
+ * @returns {Promise<boolean>}
+ */
+async function isTabActivated(tabId, url) {
+  const activeTabs = await getActiveTabs();
+  return activeTabs[tabId] === new URL(url).hostname;
+}
+
+/**
+ * Turn the switcher on or off for a tab
+ * @param {number} tabId - Tab id
+ * @param {string} url - Page URL of the tab
+ * @param {boolean} active - Whether the switcher should be active
+ */
+async function setTabActivation(tabId, url, active) {
+  const activeTabs = await getActiveTabs();
+
+  if (active) {
+    activeTabs[tabId] = new URL(url).hostname;
+  } else {
+    delete activeTabs[tabId];
+  }
+
+  await saveActiveTabs(activeTabs);
+}
+
+/**
+ * Forget the activation of a closed tab
+ * @param {number} tabId - Tab id
+ */
+async function clearTabActivation(tabId) {
+  const activeTabs = await getActiveTabs();
+
+  if (activeTabs[tabId]) {
+    delete activeTabs[tabId];
+    await saveActiveTabs(activeTabs);
+  }
+}
+
+export {
+  isTabActivated,
+  setTabActivation,
+  clearTabActivation,
+};
@@ -0,0 +1,202 @@
+// Tab overrides - per-tab device mode isolation
+// Imported by the background service worker
+//
+// A tab override rewrites the Cookie request header (and the device headers of
+// sites using header switching) for a single tab with a declarativeNetRequest
+// session rule, so the shared cookie jar stays untouched and other tabs on the
+// same site keep their own mode.
+
+import { ALL_RESOURCE_TYPES } from '../shared/constants.js';
+import { buildDeviceRequestHeaders } from './header-rules.js';
+import {
+  getCookieProfile,
+  getDeviceModes,
+  getDomainSettings,
+  resolveCookieValue,
+} from '../content/storage-manager.js';
+
+const TAB_OVERRIDES_KEY = 'tabOverrides';
+
+/**
+ * Get all tab overrides for this browser session
+ * @returns {Promise<Object<string, Object>>} Overrides keyed by tab id
+ */
+async function getTabOverrides() {
+  const result = await chrome.storage.session.get(TAB_OVERRIDES_KEY);
+  return result[TAB_OVERRIDES_KEY] || {};
+}
+
+/**
+ * Save all tab overrides
+ * @param {Object<string, Object>} overrides - Overrides keyed by tab id
+ */
+async function saveTabOverrides(overrides) {
+  await chrome.storage.session.set({ [TAB_OVERRIDES_KEY]: overrides });
+}
+
+/**
+ * Get the override of a tab if it applies to the given URL
+ * @param {number} tabId - Tab id
+ * @param {string} url - Page URL the content script is running on
+ * @returns {Promise<Object|null>} Override as { hostname, url, deviceType } or null
+ */
+async function getTabOverride(tabId, url) {
+  const overrides = await getTabOverrides();
+  const override = overrides[tabId];
+
+  if (!override || override.hostname !== new URL(url).hostname) {
+    return null;
+  }
+
+  return override;
+}
+
+/**
+ * Enable the override for a tab, optionally switching it to a mode
+ * @param {number} tabId - Tab id
+ * @param {string} url - Page URL of the tab
+ * @param {string|null} deviceType - Mode for this tab, null to enable without a mode yet
+ * @returns {Promise<Object>} The stored override
+ */
+async function setTabOverride(tabId, url, deviceType) {
+  if (deviceType !== null) {
+    const modes = await getDeviceModes();
+    if (!modes.some((mode) => mode.id === deviceType)) {
+      throw new Error(`Invalid device type: ${deviceType}`);
+    }
+  }
+
+  const overrides = await getTabOverrides();
+  const override = { hostname: new URL(url).hostname, url, deviceType };
+
+  overrides[tabId] = override;
+  await saveTabOverrides(overrides);
+  await updateTabOverrideRule(tabId, override);
+
+  return override;
+}
+
+/**
+ * Remove the override of a tab, it falls back to the shared cookies
+ * @param {number} tabId - Tab id
+ */
+async function clearTabOverride(tabId) {
+  const overrides = await getTabOverrides();
+
+  if (overrides[tabId]) {
+    delete overrides[tabId];
+    await saveTabOverrides(overrides);
+  }
+
+  await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [Number(tabId)] });
+}
+
+/**
+ * Build the Cookie header a tab should send
+ * Starts from the real cookies of the page and replaces the profile cookies
+ * with the values of the tab's mode
+ */
+async function buildTabCookieHeader(override) {
+  const [cookies, profile, modes] = await Promise.all([
+    chrome.cookies.getAll({ url: override.url }),
+    getCookieProfile(override.hostname),
+    getDeviceModes(),
+  ]);
+
+  const mode = modes.find((m) => m.id === override.deviceType);
+  const values = new Map();
+
+  cookies.forEach((cookie) => {
+    // getAll returns the most specific cookie first, keep that one
+    if (!values.has(cookie.name)) {
+      values.set(cookie.name, cookie.value);
+    }
+  });
+
+  if (mode) {
+    profile.cookies.forEach((profileCookie) => {
+      values.set(profileCookie.name, resolveCookieValue(profileCookie, mode));
+    });
+  }
+
+  return Array.from(values, ([name, value]) => `${name}=${value}`).join('; ');
+}
+
+/**
+ * Build a regexFilter matching requests to exactly one host, on any port
+ * requestDomains would match its subdomains as well, whose requests carry their own cookies
+ * @param {string} hostname - Host of the overridden page
+ * @returns {string} RE2 pattern for declarativeNetRequest
+ */
+function buildHostRegexFilter(hostname) {
+  const escaped = hostname.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return `^(https?|wss?)://${escaped}(:[0-9]+)?/`;
+}
+
+/**
+ * Create or replace the session rule of a tab
+ * The rule id is the tab id, so each tab has at most one rule
+ */
+async function updateTabOverrideRule(tabId, override) {
+  const ruleId = Number(tabId);
+  const update = { removeRuleIds: [ruleId] };
+  const [settings, modes] = await Promise.all([getDomainSettings(override.hostname), getDeviceModes()]);
+  const mode = modes.find((m) => m.id === override.deviceType);
+
+  // Enabled without a mode yet: nothing to rewrite
+  const requestHeaders = mode ? buildDeviceRequestHeaders(settings, mode) : [];
+  if (mode && settings.switchMethods.includes('cookie')) {
+    requestHeaders.push({ header: 'cookie', operation: 'set', value: await buildTabCookieHeader(override) });
+  }
+
+  if (requestHeaders.length > 0) {
+    update.addRules = [{
+      id: ruleId,
+      // Wins over the site-wide header rules
+      priority: 2,
+      action: {
+        type: 'modifyHeaders',
+        requestHeaders,
+      },
+      condition: {
+        tabIds: [ruleId],
+        regexFilter: buildHostRegexFilter(override.hostname),
+        resourceTypes: ALL_RESOURCE_TYPES,
+      },
+    }];
+  }
+
+  await chrome.declarativeNetRequest.updateSessionRules(update);
+}
+
+/**
+ * Rebuild the rules of overridden tabs after a cookie of their site changed
+ * Keeps session and login cookies in the rewritten header current
+ */
+async function refreshTabOverridesForCookie(cookie) {
+  const overrides = await getTabOverrides();
+  const cookieDomain = cookie.domain.replace(/^\./, '');
+
+  const affected = Object.entries(overrides).filter(([, override]) =>
+    override.deviceType &&
+    (override.hostname === cookieDomain || override.hostname.endsWith(`.${cookieDomain}`))
+  );
+
+  await Promise.all(affected.map(([tabId, override]) => updateTabOverrideRule(tabId, override)));
+}
+
+/**
+ * Rebuild the rules of all overridden tabs, e.g. after domain settings or modes changed
+ */
+async function refreshTabOverrideRules() {
+  const overrides = await getTabOverrides();
+  await Promise.all(Object.entries(overrides).map(([tabId, override]) => updateTabOverrideRule(tabId, override)));
+}
+
+export {
+  getTabOverride,
+  setTabOverride,
+  clearTabOverride,
+  refreshTabOverrideRules,
+  refreshTabOverridesForCookie,
+};
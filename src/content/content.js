@@ -1,5 +1,103 @@
 // Main entry point for Device Output Switcher content script
-// Orchestrates UI and CookieManager modules
+// Orchestrates UI and CookieManager modules, imported by the content script loader
+
+import {
+  TAKE_PENDING_TOAST,
+  COOKIE_CHANGED,
+  GET_DEVICE_STATE,
+  APPLY_DEVICE,
+  DEVICE_COMMAND,
+  ACTIVATION_CHANGED,
+  MODE_MISMATCH,
+  PIN_RESTORED,
+  HISTORY_STATE_UPDATED,
+  RELOAD_DELAY_MS,
+} from '../shared/constants.js';
+import { SENDERS, parseRequest, createResponse, createErrorResponse } from '../shared/protocol.js';
+import {
+  sendMessageToBackground,
+  getCurrentDevice,
+  setDeviceType,
+  clearDeviceType,
+  buildDeviceUrl,
+  buildDefaultUrl,
+  getTabOverride,
+  setTabScope,
+  isTabActivated,
+  getModeMismatch,
+  getPinLog,
+  getCookieDetails,
+  getPageCookies,
+  setDeviceCookieValue,
+  removeDeviceCookie,
+} from './cookie-manager.js';
+import { hasConfigChange, getManagedConfig } from './storage-areas.js';
+import {
+  DOMAIN_LISTS,
+  getDomainList,
+  addDomainToList,
+  removeDomainFromList,
+  isCurrentDomainActive,
+  getDeviceModes,
+  addDeviceMode,
+  updateDeviceMode,
+  removeDeviceMode,
+  moveDeviceMode,
+  getCookieProfile,
+  getDomainSettings,
+  updateDomainSettings,
+  getPreferences,
+} from './storage-manager.js';
+import {
+  cardEvents,
+  showCard,
+  hideCard,
+  getCardHost,
+  getCardElement,
+  updateActiveDevice,
+  showError,
+  hideError,
+  showToast,
+  attachButtonHandler,
+  updateDomainListDisplay,
+  updateModesDisplay,
+  updateSiteSettingsDisplay,
+  isCookieDetailsOpen,
+  updateCookieDetailsDisplay,
+  isCookieInspectorOpen,
+  updateCookieInspectorDisplay,
+  updateTabScopeDisplay,
+  updateModeMismatchDisplay,
+  updatePinLogDisplay,
+  renderDeviceButtons,
+  resetModeForm,
+} from './ui.js';
+
+// Card events with a listener, the card is set up again on navigations and setting changes
+const cardListeners = new Set();
+
+/**
+ * Listen to an event of the card's controls, once however often the card is set up
+ * @param {string} type - Event name dispatched by ui.js
+ * @param {Function} listener - Called with the event
+ */
+function onCardEvent(type, listener) {
+  if (!cardListeners.has(type)) {
+    cardListeners.add(type);
+    cardEvents.addEventListener(type, listener);
+  }
+}
+
+/**
+ * Check whether the browser would run a script element, rather than keep it as data
+ * (JSON state, templates)
+ * @param {HTMLScriptElement} script
+ * @returns {boolean}
+ */
+function isExecutableScript(script) {
+  const type = script.type.trim().toLowerCase();
+  return type === '' || type === 'module' || /^(text|application)\/(java|ecma)script$/.test(type);
+}
 
 (async function initDeviceOutputSwitcher() {
   // Wait for DOM to be ready
@@ -9,26 +107,22 @@
     });
   }
 
-  // Import functionality from other modules (loaded as separate script tags in manifest)
-  // In this setup, all modules are loaded in global scope
+  // Event dispatched on the page for the event apply strategy
+  const DEVICE_CHANGE_EVENT = 'deviceoutput:change';
+
+  // Device mode currently applied to the page
+  let activeDevice = null;
 
-  // Constants
-  const RELOAD_DELAY_MS = 100;
+  // URL the card was last brought up to date for, and the navigation being handled
+  let lastUrl = location.href;
+  let navigationPending = Promise.resolve();
 
   /**
-   * Handle device type change
+   * Handle device type change from the card
    */
   async function handleDeviceChange(deviceType) {
     try {
-      // Set the cookies
-      await setDeviceType(deviceType);
-
-      // Update UI
-      updateActiveDevice(deviceType);
-      hideError();
-
-      // Reload page to apply changes
-      setTimeout(() => location.reload(), RELOAD_DELAY_MS);
+      await switchDevice(deviceType);
     } catch (error) {
       console.error('Failed to set device type:', error);
       showError(`Failed to switch to ${deviceType}: ${error.message}`);
@@ -36,66 +130,603 @@
   }
 
   /**
-   * Initialize the card with current device state
+   * Set the device cookies and apply the change to the page
+   * Shared by the card, the toolbar popup and keyboard shortcuts; throws on failure
+   * @returns {Promise<string>} Apply strategy that was used, or navigate for URL parameter sites
    */
-  async function initializeCard() {
-    // Check if current domain is whitelisted (or whitelist is empty)
-    const isWhitelisted = await isCurrentDomainWhitelisted();
+  async function switchDevice(deviceType) {
+    // Set the cookies
+    await setDeviceType(deviceType);
 
-    if (!isWhitelisted) {
-      // Don't show the card if domain is not whitelisted
-      return;
+    const previousDevice = activeDevice;
+    activeDevice = deviceType;
+
+    // Update UI
+    updateActiveDevice(deviceType);
+    hideError();
+
+    const settings = await getDomainSettings(window.location.hostname);
+
+    // URL parameter sites switch by navigating to the rewritten URL
+    if (settings.switchMethods.includes('urlParam')) {
+      location.assign(await buildDeviceUrl(settings, deviceType));
+      return 'navigate';
+    }
+
+    // Apply the change using the site's strategy
+    await applyDeviceChange(settings.applyStrategy, deviceType, previousDevice);
+
+    return settings.applyStrategy;
+  }
+
+  /**
+   * Remove the device override and apply the site's default output to the page
+   * @returns {Promise<string>} Apply strategy that was used, or navigate for URL parameter sites
+   */
+  async function resetDevice() {
+    await clearDeviceType();
+
+    const previousDevice = activeDevice;
+    activeDevice = null;
+
+    updateActiveDevice(null);
+    hideError();
+
+    const settings = await getDomainSettings(window.location.hostname);
+
+    // URL parameter sites drop the parameter from the URL
+    if (settings.switchMethods.includes('urlParam')) {
+      location.assign(buildDefaultUrl(settings));
+      return 'navigate';
+    }
+
+    await applyDeviceChange(settings.applyStrategy, null, previousDevice);
+
+    return settings.applyStrategy;
+  }
+
+  /**
+   * Run a keyboard shortcut command
+   * @param {string} command - next-mode, previous-mode or set-mode-N
+   * @returns {Promise<Object>} Confirmation toast text and whether the page reloads
+   */
+  async function runDeviceCommand(command) {
+    const modes = await getDeviceModes();
+
+    // Read the mode fresh, the card (and its state) may be turned off
+    activeDevice = await getCurrentDevice();
+    const currentIndex = modes.findIndex((mode) => mode.id === activeDevice);
+    let target;
+
+    if (command === 'next-mode') {
+      target = modes[(currentIndex + 1) % modes.length];
+    } else if (command === 'previous-mode') {
+      // Without a current mode, start from the end of the list
+      const index = currentIndex === -1 ? modes.length - 1 : currentIndex - 1;
+      target = modes[(index + modes.length) % modes.length];
+    } else {
+      const match = /^set-mode-(\d+)$/.exec(command);
+      target = match ? modes[Number(match[1]) - 1] : undefined;
+
+      if (match && !target) {
+        showToast(`No mode ${match[1]} configured`);
+        return { toast: null, reloading: false };
+      }
+    }
+
+    if (!target) {
+      throw new Error(`Unknown command: ${command}`);
+    }
+
+    const toast = `${target.emoji} ${target.label}`;
+    showToast(toast);
+    const strategy = await switchDevice(target.id);
+
+    return { toast, reloading: strategy === 'reload' || strategy === 'navigate' };
+  }
+
+  /**
+   * Show a toast the background kept for this tab across a reload
+   */
+  async function showPendingToast() {
+    try {
+      const response = await sendMessageToBackground({
+        type: TAKE_PENDING_TOAST,
+        url: window.location.href,
+      });
+
+      if (response.toast) {
+        showToast(response.toast);
+      }
+    } catch (error) {
+      // Toasts are best effort only
+    }
+  }
+
+  /**
+   * Apply a device change to the page
+   * @param {string} strategy - reload, refetch or event
+   * @param {string} deviceType - New device mode
+   * @param {string|null} previousDevice - Mode before the change
+   */
+  async function applyDeviceChange(strategy, deviceType, previousDevice) {
+    switch (strategy) {
+      case 'event':
+        // Let the app re-request whatever depends on the cookie
+        window.dispatchEvent(new CustomEvent(DEVICE_CHANGE_EVENT, {
+          detail: { device: deviceType, previous: previousDevice },
+        }));
+        break;
+
+      case 'refetch':
+        try {
+          await refetchPage();
+        } catch (error) {
+          console.warn('Soft refresh failed, reloading instead:', error);
+          setTimeout(() => location.reload(), RELOAD_DELAY_MS);
+        }
+        break;
+
+      default:
+        // Reload page to apply changes
+        setTimeout(() => location.reload(), RELOAD_DELAY_MS);
+    }
+  }
+
+  /**
+   * Re-fetch the current URL and replace the document with the response
+   * Keeps the scroll position and the card host (including the card's open/closed state).
+   * Scripts of the new document would never run, so pages that have any are reloaded
+   * instead of being left half-rendered (the caller falls back on the thrown error)
+   */
+  async function refetchPage() {
+    const response = await fetch(location.href, { credentials: 'include', cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
     }
 
+    const html = await response.text();
+    const fresh = new DOMParser().parseFromString(html, 'text/html');
+    if (Array.from(fresh.scripts).some(isExecutableScript)) {
+      throw new Error('The page runs scripts, which a soft refresh cannot re-run');
+    }
+
+    const scrollX = window.scrollX;
+    const scrollY = window.scrollY;
+    const cardHost = getCardHost();
+
+    document.head.replaceWith(document.adoptNode(fresh.head));
+    document.body.replaceWith(document.adoptNode(fresh.body));
+
+    if (cardHost) {
+      document.body.appendChild(cardHost);
+    }
+
+    window.scrollTo(scrollX, scrollY);
+  }
+
+  /**
+   * Check whether the switcher is active on this page
+   * Allowlist and blocklist modes decide by domain, manual mode by tab
+   */
+  async function isSwitcherActive() {
+    const { activationMode } = await getPreferences();
+
+    if (activationMode === 'manual') {
+      return isTabActivated();
+    }
+
+    return isCurrentDomainActive(activationMode);
+  }
+
+  /**
+   * Check whether the card belongs on this page: the switcher is active and the user
+   * has not turned the in-page card off in favour of the toolbar popup
+   */
+  async function isCardWanted() {
+    const [active, preferences] = await Promise.all([isSwitcherActive(), getPreferences()]);
+    return active && preferences.showCard;
+  }
+
+  /**
+   * Mount, unmount or refresh the card after the page navigated. A card that stays
+   * visible keeps its state (open panels, form input), only what it shows is read again
+   */
+  async function refreshActivation() {
+    if (await isCardWanted()) {
+      await updateCard();
+    } else {
+      hideCard();
+    }
+  }
+
+  /**
+   * Mount or unmount the card after the activation settings changed (domain lists,
+   * activation mode, showCard, manual activation). The page is the same, so a card
+   * that stays visible only reads the domain list again
+   */
+  async function refreshActivationSettings() {
+    if (!(await isCardWanted())) {
+      hideCard();
+    } else if (getCardElement('device-output-switcher')) {
+      await loadDomainList();
+    } else {
+      await updateCard();
+    }
+  }
+
+  /**
+   * Initialize the card with current device state, where the card belongs on the page
+   */
+  async function initializeCard() {
+    if (await isCardWanted()) {
+      await updateCard();
+    }
+  }
+
+  /**
+   * Mount the card, or bring a mounted card up to date
+   * Safe to call again: the card and the handlers of its elements are created once,
+   * card event listeners are registered once per page
+   */
+  async function updateCard() {
     // Get current device from cookies
     const currentDevice = await getCurrentDevice();
+    activeDevice = currentDevice;
+
+    const modes = await getDeviceModes();
+    const mounted = Boolean(getCardElement('device-output-switcher'));
 
-    // Show the UI card
-    showCard();
+    if (!mounted) {
+      // Show the UI card with the user's device modes
+      showCard(modes);
 
-    // Update active state based on current device
-    if (currentDevice) {
-      updateActiveDevice(currentDevice);
+      // Attach click handlers to buttons
+      attachButtonHandler(handleDeviceChange);
+
+      // Setup allowlist / blocklist management
+      setupDomainListManagement();
+    } else {
+      // Modes may have been edited elsewhere, fresh buttons get their handlers once
+      renderDeviceButtons(modes);
+      attachButtonHandler(handleDeviceChange);
     }
 
-    // Attach click handlers to buttons
-    attachButtonHandler(handleDeviceChange);
+    // Update active state based on current device (Default when none is set)
+    updateActiveDevice(currentDevice);
+    setupDefaultButton();
+
+    // Load and display the current list
+    loadDomainList();
+
+    // Setup device mode editor
+    setupModeManagement(modes);
+
+    // Setup per-site settings
+    await setupSiteSettings();
+
+    // Setup the cookie inspector
+    setupCookieInspector();
+
+    // Setup the per-tab isolation toggle
+    await setupTabScope();
+
+    // Show whether the site kept the requested mode
+    await setupModeVerification(modes);
+
+    // The cookies a page sees depend on its path
+    if (mounted) {
+      await Promise.all([refreshCookieDetails(), refreshCookieInspector()]);
+    }
+  }
+
+  /**
+   * Handle the Default button, which removes the device override
+   */
+  function setupDefaultButton() {
+    onCardEvent('resetDeviceMode', async () => {
+      try {
+        await resetDevice();
+      } catch (error) {
+        console.error('Failed to reset device type:', error);
+        showError(`Failed to reset to default: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Show the mismatch badge and pin restores, and handle re-applying the requested mode
+   */
+  async function setupModeVerification(modes) {
+    try {
+      const [mismatch, pinLog] = await Promise.all([getModeMismatch(), getPinLog()]);
+      updateModeMismatchDisplay(mismatch, modes);
+      updatePinLogDisplay(pinLog);
+    } catch (error) {
+      console.error('Failed to load mode verification:', error);
+    }
+
+    onCardEvent('reapplyDeviceMode', async () => {
+      try {
+        const mismatch = await getModeMismatch();
+        if (mismatch) {
+          await switchDevice(mismatch.expected);
+        }
+      } catch (error) {
+        console.error('Failed to re-apply device mode:', error);
+        showError(`Failed to re-apply mode: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Setup the "This tab only" toggle
+   */
+  async function setupTabScope() {
+    try {
+      updateTabScopeDisplay(await getTabOverride());
+    } catch (error) {
+      console.error('Failed to load tab override:', error);
+    }
+
+    onCardEvent('setTabScope', async (e) => {
+      try {
+        // Keep the tab on its current mode when isolating it
+        const override = await setTabScope(e.detail.enabled, e.detail.enabled ? activeDevice : null);
+        updateTabScopeDisplay(override);
+        hideError();
+
+        // Leaving isolation may put the tab back on a different shared mode
+        const device = await getCurrentDevice();
+        if (device !== activeDevice) {
+          const previousDevice = activeDevice;
+          activeDevice = device;
+          updateActiveDevice(device);
+
+          const settings = await getDomainSettings(window.location.hostname);
+          await applyDeviceChange(settings.applyStrategy, device, previousDevice);
+        }
+      } catch (error) {
+        console.error('Failed to change tab scope:', error);
+        showError(`Failed to change tab scope: ${error.message}`);
+        updateTabScopeDisplay(await getTabOverride().catch(() => null));
+      }
+    });
+  }
+
+  /**
+   * Setup the per-site settings controls in the settings panel
+   */
+  async function setupSiteSettings() {
+    updateSiteSettingsDisplay(await getDomainSettings(window.location.hostname));
+
+    onCardEvent('updateDomainSettings', async (e) => {
+      try {
+        const settings = await updateDomainSettings(window.location.hostname, e.detail);
+        updateSiteSettingsDisplay(settings);
+        hideError();
+        await refreshCookieDetails();
+      } catch (error) {
+        console.error('Failed to update site settings:', error);
+        showError(`Failed to update settings: ${error.message}`);
+        // Put the controls back to the stored settings
+        updateSiteSettingsDisplay(await getDomainSettings(window.location.hostname));
+      }
+    });
+
+    onCardEvent('showCookieDetails', () => refreshCookieDetails());
+  }
+
+  /**
+   * Reload the device cookies shown in the cookie attributes section, while it is open
+   */
+  async function refreshCookieDetails() {
+    if (!isCookieDetailsOpen()) {
+      return;
+    }
+
+    try {
+      updateCookieDetailsDisplay(await getCookieDetails());
+    } catch (error) {
+      console.error('Failed to load cookie details:', error);
+    }
+  }
 
-    // Setup whitelist management
-    setupWhitelistManagement();
+  /**
+   * Handle loading the cookie inspector and editing or deleting device cookies from it
+   * Edits do not reload the page, so the site's reaction can be checked step by step
+   */
+  function setupCookieInspector() {
+    const afterCookieChange = async (message) => {
+      activeDevice = await getCurrentDevice();
+      updateActiveDevice(activeDevice);
+      await Promise.all([refreshCookieInspector(), refreshCookieDetails()]);
+      hideError();
+      showToast(message);
+    };
+
+    onCardEvent('showCookieInspector', () => refreshCookieInspector());
+    onCardEvent('editDeviceCookie', async (e) => {
+      try {
+        await setDeviceCookieValue(e.detail.name, e.detail.value);
+        await afterCookieChange(`Saved ${e.detail.name}, reload to apply`);
+      } catch (error) {
+        console.error('Failed to edit cookie:', error);
+        showError(`Failed to edit ${e.detail.name}: ${error.message}`);
+      }
+    });
+    onCardEvent('deleteDeviceCookie', async (e) => {
+      try {
+        await removeDeviceCookie(e.detail.name);
+        await afterCookieChange(`Deleted ${e.detail.name}, reload to apply`);
+      } catch (error) {
+        console.error('Failed to delete cookie:', error);
+        showError(`Failed to delete ${e.detail.name}: ${error.message}`);
+      }
+    });
   }
 
   /**
-   * Listen for cookie changes from other tabs
+   * Reload the cookies shown in the inspector, while it is open
    */
-  function setupCookieChangeListener() {
+  async function refreshCookieInspector() {
+    if (!isCookieInspectorOpen()) {
+      return;
+    }
+
+    try {
+      const [cookies, profile] = await Promise.all([getPageCookies(), getCookieProfile(window.location.hostname)]);
+      updateCookieInspectorDisplay(cookies, profile.cookies.map((c) => c.name));
+    } catch (error) {
+      console.error('Failed to load cookies:', error);
+      showError(`Failed to load cookies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Answer requests relayed by the background script (toolbar popup and keyboard
+   * shortcuts) and follow its notifications (cookie changes, mode mismatches, pin restores)
+   */
+  function setupBackgroundMessageListener() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      if (message.type === 'COOKIE_CHANGED') {
+      let request;
+      try {
+        request = parseRequest(message, SENDERS.BACKGROUND);
+      } catch (error) {
+        console.warn('Ignoring invalid message from the background:', error.message);
+        sendResponse(createErrorResponse(message, error));
+        return false;
+      }
+
+      // Answer once the handler settles, keeping the channel open until then
+      const reply = (handler) => {
+        handler()
+          .then((payload) => sendResponse(createResponse(request, payload)))
+          .catch((error) => sendResponse(createErrorResponse(request, error)));
+        return true;
+      };
+
+      switch (request.type) {
         // Update UI when cookies change from another tab
-        getCurrentDevice().then((device) => {
-          if (device) {
+        case COOKIE_CHANGED:
+          getCurrentDevice().then((device) => {
+            activeDevice = device;
             updateActiveDevice(device);
-          }
-        });
+          });
+          refreshCookieDetails();
+          refreshCookieInspector();
+          return false;
+
+        case GET_DEVICE_STATE:
+          return reply(async () => {
+            const [active, { activationMode }] = await Promise.all([isSwitcherActive(), getPreferences()]);
+            const [device, modes] = await Promise.all([getCurrentDevice(), getDeviceModes()]);
+            return { hostname: window.location.hostname, active, activationMode, device, modes };
+          });
+
+        case APPLY_DEVICE:
+          return reply(async () => {
+            if (!(await isSwitcherActive())) {
+              throw new Error('The switcher is not active on this page');
+            }
+            await switchDevice(request.deviceType);
+            return {};
+          });
+
+        case DEVICE_COMMAND:
+          return reply(async () => {
+            // Shortcuts only act where the switcher is active
+            if (!(await isSwitcherActive())) {
+              return { toast: null, reloading: false };
+            }
+            try {
+              return await runDeviceCommand(request.command);
+            } catch (error) {
+              showToast(`Switch failed: ${error.message}`);
+              throw error;
+            }
+          });
+
+        // The site reset or ignored the requested mode, or shows it again
+        case MODE_MISMATCH:
+          Promise.all([getDeviceModes(), getCurrentDevice()])
+            .then(([modes, device]) => {
+              updateModeMismatchDisplay(request.mismatch, modes);
+              // The buttons follow what the site actually set
+              activeDevice = device;
+              updateActiveDevice(device);
+            })
+            .catch((error) => console.error('Failed to show mode mismatch:', error));
+          return false;
+
+        // The pin restored the mode's cookies or gave up on them
+        case PIN_RESTORED: {
+          const { entry } = request;
+          showToast(entry.paused ? `📌 Pin paused: ${entry.name} keeps changing` : `📌 Restored ${entry.name}`);
+
+          Promise.all([getPinLog(), getCurrentDevice()])
+            .then(([pinLog, device]) => {
+              updatePinLogDisplay(pinLog);
+              activeDevice = device;
+              updateActiveDevice(device);
+            })
+            .catch((error) => console.error('Failed to show pin restore:', error));
+          return false;
+        }
+
+        // history.pushState or replaceState of the page, seen by the background
+        case HISTORY_STATE_UPDATED:
+          handleNavigation();
+          return false;
+
+        // The tab was turned on or off from the toolbar (manual activation mode)
+        case ACTIVATION_CHANGED:
+          return reply(async () => {
+            await refreshActivationSettings();
+            return {};
+          });
+
+        default:
+          return false;
       }
     });
   }
 
   /**
-   * Setup whitelist management
+   * Follow changes to the domain lists and preferences made in other tabs,
+   * the options page, another synced browser or by enterprise policy
    */
-  function setupWhitelistManagement() {
-    // Load and display current whitelist
-    loadWhitelist();
+  function setupStorageChangeListener() {
+    let pending = Promise.resolve();
 
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const relevant = areaName === 'managed' ||
+        (['local', 'sync'].includes(areaName) &&
+          ('syncEnabled' in changes || [...DOMAIN_LISTS, 'preferences'].some((key) => hasConfigChange(changes, key))));
+
+      if (!relevant) {
+        return;
+      }
+
+      // One re-check at a time, in the order the changes arrived
+      pending = pending.then(refreshActivationSettings).catch((error) => {
+        console.error('Failed to apply settings change:', error);
+      });
+    });
+  }
+
+  /**
+   * Setup management of the list used by the current activation mode
+   */
+  function setupDomainListManagement() {
     // Handle add button click
-    const addBtn = document.getElementById('device-output-add-btn');
+    const addBtn = getCardElement('device-output-add-btn');
     if (addBtn) {
       addBtn.onclick = handleAddDomain;
     }
 
     // Handle Enter key in input field
-    const input = document.getElementById('device-output-settings-input');
+    const input = getCardElement('device-output-settings-input');
     if (input) {
       input.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
@@ -104,38 +735,83 @@
       });
     }
 
-    // Listen for domain removal events - store reference for cleanup
-    if (!window.deviceOutputRemoveListener) {
-      window.deviceOutputRemoveListener = async (e) => {
+    // Listen for domain removal from the list
+    onCardEvent('removeDomainFromList', async (e) => {
+      try {
+        await removeDomainFromList(e.detail.list, e.detail.domain);
+        await loadDomainList();
+      } catch (error) {
+        console.error('Failed to remove domain:', error);
+        showError(`Failed to remove domain: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Setup the device mode editor in the settings panel
+   */
+  function setupModeManagement(modes) {
+    updateModesDisplay(modes);
+
+    const modeActions = {
+      saveDeviceMode: async (e) => {
+        const { id, emoji, label, value } = e.detail;
+        if (id) {
+          await updateDeviceMode(id, { emoji, label, value });
+        } else {
+          await addDeviceMode({ emoji, label, value });
+        }
+        resetModeForm();
+      },
+      moveDeviceMode: (e) => moveDeviceMode(e.detail.id, e.detail.offset),
+      removeDeviceMode: (e) => removeDeviceMode(e.detail.id),
+    };
+
+    Object.entries(modeActions).forEach(([type, action]) => {
+      onCardEvent(type, async (e) => {
         try {
-          await removeDomainFromWhitelist(e.detail);
-          await loadWhitelist();
+          await action(e);
+          await refreshModes();
+          hideError();
         } catch (error) {
-          console.error('Failed to remove domain:', error);
-          showError(`Failed to remove domain: ${error.message}`);
+          console.error('Failed to update device modes:', error);
+          showError(`Failed to update modes: ${error.message}`);
         }
-      };
-      document.addEventListener('removeDomainFromWhitelist', window.deviceOutputRemoveListener);
-    }
+      });
+    });
   }
 
   /**
-   * Load and display the whitelist
+   * Re-render device buttons and the mode editor after the modes changed
    */
-  async function loadWhitelist() {
+  async function refreshModes() {
+    const modes = await getDeviceModes();
+
+    renderDeviceButtons(modes);
+    attachButtonHandler(handleDeviceChange);
+    updateModesDisplay(modes);
+
+    updateActiveDevice(await getCurrentDevice());
+  }
+
+  /**
+   * Load and display the list of the current activation mode
+   */
+  async function loadDomainList() {
     try {
-      const whitelist = await getWhitelist();
-      updateWhitelistDisplay(whitelist);
+      const [{ activationMode }, managed] = await Promise.all([getPreferences(), getManagedConfig()]);
+      const domains = DOMAIN_LISTS.includes(activationMode) ? await getDomainList(activationMode) : [];
+      updateDomainListDisplay(activationMode, domains, managed[activationMode] || []);
     } catch (error) {
-      console.error('Failed to load whitelist:', error);
+      console.error('Failed to load domain list:', error);
     }
   }
 
   /**
-   * Handle adding a domain to the whitelist
+   * Handle adding a domain to the list of the current activation mode
    */
   async function handleAddDomain() {
-    const input = document.getElementById('device-output-settings-input');
+    const input = getCardElement('device-output-settings-input');
     if (!input) return;
 
     const domain = input.value.trim();
@@ -145,9 +821,10 @@
     }
 
     try {
-      await addDomainToWhitelist(domain);
+      const { activationMode } = await getPreferences();
+      await addDomainToList(activationMode, domain);
       input.value = '';
-      await loadWhitelist();
+      await loadDomainList();
       hideError();
     } catch (error) {
       console.error('Failed to add domain:', error);
@@ -155,61 +832,45 @@
     }
   }
 
-  // Initialize everything
-  try {
-    await initializeCard();
-    setupCookieChangeListener();
-  } catch (error) {
-    console.error('Failed to initialize Device Output Switcher:', error);
-  }
+  /**
+   * Bring the card up to date after a same-document navigation of a single-page app
+   * A navigation is usually reported more than once, only a changed URL counts
+   */
+  function handleNavigation() {
+    if (location.href === lastUrl) {
+      return;
+    }
+    lastUrl = location.href;
 
-  // Handle page navigation (for single-page apps)
-  let lastUrl = location.href;
-  let lastDomain = window.location.hostname;
-  let debounceTimer = null;
-  let navigationObserver = null;
+    // One refresh at a time, in the order the navigations happened
+    navigationPending = navigationPending.then(refreshActivation).catch((error) => {
+      console.error('Failed to re-initialize on navigation:', error);
+    });
+  }
 
+  /**
+   * Watch for same-document navigations
+   * The Navigation API reports every one of them where the browser has it. popstate and
+   * hashchange cover back/forward and fragment changes without it, and the background
+   * relays history.pushState and replaceState (webNavigation.onHistoryStateUpdated): the
+   * page calls them in its own world, where a wrapper installed from here would not run.
+   */
   function setupNavigationWatcher() {
-    // Cleanup existing observer if present
-    if (navigationObserver) {
-      navigationObserver.disconnect();
+    if (window.navigation) {
+      window.navigation.addEventListener('currententrychange', handleNavigation);
     }
+    window.addEventListener('popstate', handleNavigation);
+    window.addEventListener('hashchange', handleNavigation);
+  }
 
-    navigationObserver = new MutationObserver(() => {
-      // Clear existing timer
-      if (debounceTimer) {
-        clearTimeout(debounceTimer);
-      }
-
-      // Debounce to avoid excessive re-initializations
-      debounceTimer = setTimeout(async () => {
-        const url = location.href;
-        const currentDomain = window.location.hostname;
-
-        // Re-initialize on navigation or domain change
-        if (url !== lastUrl || currentDomain !== lastDomain) {
-          lastUrl = url;
-          lastDomain = currentDomain;
-
-          // Check whitelist first
-          const isWhitelisted = await isCurrentDomainWhitelisted();
-
-          if (!isWhitelisted) {
-            hideCard();
-            return;
-          }
-
-          // Re-initialize on navigation
-          try {
-            await initializeCard();
-          } catch (err) {
-            console.error('Failed to re-initialize on navigation:', err);
-          }
-        }
-      }, 250); // Debounce for 250ms
-    });
-
-    navigationObserver.observe(document.body, { childList: true, subtree: true });
+  // Initialize everything
+  try {
+    await initializeCard();
+    setupBackgroundMessageListener();
+    setupStorageChangeListener();
+    showPendingToast();
+  } catch (error) {
+    console.error('Failed to initialize Device Output Switcher:', error);
   }
 
   // Initialize navigation watcher
@@ -1,75 +1,90 @@
-// Cookie Manager - handles device output cookies
-// Communicates with background script to access chrome.cookies API
-
-const GET_COOKIE = 'GET_COOKIE';
-const SET_COOKIE = 'SET_COOKIE';
-const GET_ALL_COOKIES = 'GET_ALL_COOKIES';
-
-// Device type constants
-const DEVICE_TYPES = {
-  DESKTOP: 'desktop',
-  MOBILE: 'mobile',
-  APP: 'app',
-};
+// Cookie Manager - handles device output cookies (and header based switching)
+// Communicates with background script to access chrome.cookies and declarativeNetRequest APIs
 
-// Message timeout constant
-const MESSAGE_TIMEOUT_MS = 5000;
+import {
+  GET_COOKIE,
+  SET_DEVICE,
+  CLEAR_DEVICE,
+  REMOVE_COOKIE,
+  SET_COOKIE_VALUE,
+  GET_ALL_COOKIES,
+  GET_TAB_OVERRIDE,
+  SET_TAB_OVERRIDE,
+  CLEAR_TAB_OVERRIDE,
+  GET_DEVICE_HEADERS,
+  GET_TAB_ACTIVATION,
+  GET_MODE_MISMATCH,
+  GET_PIN_LOG,
+  GET_COOKIE_DETAILS,
+  MESSAGE_TIMEOUT_MS,
+} from '../shared/constants.js';
+import { callBackground } from '../shared/messaging.js';
+import { getCookieProfile, getDeviceModes, getDomainSettings, resolveDeviceType } from './storage-manager.js';
 
 /**
  * Send a message to the background script and wait for response
- * @param {Object} message - Message to send
+ * @param {Object} message - Message type and the fields of its request schema
  * @param {number} timeout - Timeout in milliseconds (default: 5000)
- * @returns {Promise} Resolves with response or rejects on error/timeout
+ * @returns {Promise} Resolves with response or rejects with a ProtocolError (see protocol.js)
  */
 async function sendMessageToBackground(message, timeout = MESSAGE_TIMEOUT_MS) {
-  return new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      reject(new Error(`Timeout waiting for response to ${message.type} after ${timeout}ms`));
-    }, timeout);
-
-    chrome.runtime.sendMessage(message, (response) => {
-      clearTimeout(timer);
-
-      if (chrome.runtime.lastError) {
-        reject(new Error(`Chrome runtime error: ${chrome.runtime.lastError.message}`));
-      } else if (!response) {
-        reject(new Error('No response received from background script'));
-      } else if (response.success) {
-        resolve(response);
-      } else {
-        reject(new Error(response.error || `Operation ${message.type} failed`));
-      }
-    });
-  });
+  const { type, ...payload } = message;
+  return callBackground(type, payload, timeout);
 }
 
 /**
  * Get current device type from cookies
- * Checks both 'deviceoutput' and 'devicetype' cookies
+ * A tab-scoped override wins, otherwise the cookies of the domain's
+ * cookie profile are checked in read priority order. Sites switched by
+ * URL parameter read it from location.search, sites switched by headers
+ * only report the mode of their header rule.
  * Returns the device type or null if not set
  */
 async function getCurrentDevice() {
   const url = window.location.href;
 
   try {
+    const override = await getTabOverride();
+    if (override && override.deviceType) {
+      return override.deviceType;
+    }
+
+    const modes = await getDeviceModes();
+    const settings = await getDomainSettings(window.location.hostname);
+
+    // The URL is the state for the URL parameter method
+    if (settings.switchMethods.includes('urlParam')) {
+      const urlDevice = getUrlParamDevice(settings, modes);
+      if (urlDevice || settings.switchMethods.length === 1) {
+        return urlDevice;
+      }
+    }
+
+    if (!settings.switchMethods.includes('cookie')) {
+      const headerResponse = await sendMessageToBackground({
+        type: GET_DEVICE_HEADERS,
+        url: url,
+      });
+      const deviceType = headerResponse.deviceType;
+      return modes.some((mode) => mode.id === deviceType) ? deviceType : null;
+    }
+
+    const profile = await getCookieProfile(window.location.hostname);
     const response = await sendMessageToBackground({
       type: GET_ALL_COOKIES,
       url: url,
     });
 
     if (response && response.cookies) {
-      const deviceOutputCookie = response.cookies.find(
-        (c) => c.name === 'deviceoutput'
-      );
-      const deviceTypeCookie = response.cookies.find((c) => c.name === 'devicetype');
-
-      // Prioritize deviceoutput, fall back to devicetype
-      const deviceValue =
-        deviceOutputCookie?.value || deviceTypeCookie?.value || null;
-
-      // Validate it's a known device type
-      if (Object.values(DEVICE_TYPES).includes(deviceValue)) {
-        return deviceValue;
+      // First profile cookie holding a known device value wins
+      for (const profileCookie of profile.cookies) {
+        const cookie = response.cookies.find((c) => c.name === profileCookie.name);
+        if (!cookie) continue;
+
+        const deviceType = resolveDeviceType(profileCookie, cookie.value, modes);
+        if (deviceType) {
+          return deviceType;
+        }
       }
     }
     return null;
@@ -81,39 +96,250 @@ async function getCurrentDevice() {
 
 /**
  * Set device type cookies
- * Sets both 'deviceoutput' and 'devicetype' cookies to the specified type
+ * The background sets every cookie of the domain's cookie profile to the value mapped
+ * for the type and/or the header rule, depending on the site's switching methods, in
+ * one round trip: all cookies change or none do.
+ * Only this tab's override is changed when the tab is isolated.
  */
 async function setDeviceType(deviceType) {
-  const url = window.location.href;
-
-  if (!Object.values(DEVICE_TYPES).includes(deviceType)) {
+  // Validate against the user's configured modes
+  const modes = await getDeviceModes();
+  if (!modes.some((mode) => mode.id === deviceType)) {
     throw new Error(`Invalid device type: ${deviceType}`);
   }
 
   try {
-    // Set deviceoutput cookie
+    // Isolated tab: rewrite this tab's requests, leave the shared cookies alone
+    if (await getTabOverride()) {
+      await setTabScope(true, deviceType);
+      return true;
+    }
+
     await sendMessageToBackground({
-      type: SET_COOKIE,
-      url: url,
-      name: 'deviceoutput',
-      value: deviceType,
+      type: SET_DEVICE,
+      url: window.location.href,
+      deviceType: deviceType,
     });
 
-    // Set devicetype cookie
+    return true;
+  } catch (error) {
+    console.error('Error setting device type:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove the device override, so the site serves its default output again
+ * The background removes every cookie of the domain's cookie profile and/or the header
+ * rule, depending on the site's switching methods, in one round trip: all cookies go or
+ * none do. Isolated tabs keep their own mode, resetting the shared cookies from there
+ * would change every other tab.
+ */
+async function clearDeviceType() {
+  if (await getTabOverride()) {
+    throw new Error('This tab uses its own mode. Untick "This tab only" to return the site to its default');
+  }
+
+  try {
     await sendMessageToBackground({
-      type: SET_COOKIE,
-      url: url,
-      name: 'devicetype',
-      value: deviceType,
+      type: CLEAR_DEVICE,
+      url: window.location.href,
     });
 
     return true;
   } catch (error) {
-    console.error('Error setting device type:', error);
+    console.error('Error clearing device type:', error);
     throw error;
   }
 }
 
+/**
+ * Build the current page URL without the device parameter
+ * @param {Object} settings - Effective domain settings
+ * @returns {string} URL to navigate to
+ */
+function buildDefaultUrl(settings) {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(settings.urlParam);
+  return url.href;
+}
+
+/**
+ * Get the URL parameter value for a mode
+ * @param {Object} settings - Effective domain settings
+ * @param {Object} mode - Device mode
+ * @returns {string} Parameter value
+ */
+function resolveUrlParamValue(settings, mode) {
+  return settings.urlParamValues[mode.id] || mode.value;
+}
+
+/**
+ * Read the current mode from the page URL's query string
+ * @param {Object} settings - Effective domain settings
+ * @param {Object[]} modes - Known device modes
+ * @returns {string|null} Mode id or null if the parameter is missing or unknown
+ */
+function getUrlParamDevice(settings, modes) {
+  const value = new URLSearchParams(window.location.search).get(settings.urlParam);
+  if (value === null) {
+    return null;
+  }
+
+  const mode = modes.find((m) => resolveUrlParamValue(settings, m) === value);
+  return mode ? mode.id : null;
+}
+
+/**
+ * Build the current page URL with the mode's parameter set
+ * @param {Object} settings - Effective domain settings
+ * @param {string} deviceType - Mode id
+ * @returns {Promise<string>} URL to navigate to
+ */
+async function buildDeviceUrl(settings, deviceType) {
+  const modes = await getDeviceModes();
+  const mode = modes.find((m) => m.id === deviceType);
+
+  if (!mode) {
+    throw new Error(`Invalid device type: ${deviceType}`);
+  }
+
+  const url = new URL(window.location.href);
+  url.searchParams.set(settings.urlParam, resolveUrlParamValue(settings, mode));
+  return url.href;
+}
+
+/**
+ * Get this tab's device mode override
+ * @returns {Promise<Object|null>} Override as { hostname, url, deviceType } or null
+ */
+async function getTabOverride() {
+  const response = await sendMessageToBackground({
+    type: GET_TAB_OVERRIDE,
+    url: window.location.href,
+  });
+
+  return response.override || null;
+}
+
+/**
+ * Isolate this tab from the shared device cookies, or stop doing so
+ * @param {boolean} enabled - True to use a tab-scoped override
+ * @param {string|null} deviceType - Mode for this tab (null keeps the tab unchanged for now)
+ * @returns {Promise<Object|null>} The override, or null when disabled
+ */
+async function setTabScope(enabled, deviceType = null) {
+  if (!enabled) {
+    await sendMessageToBackground({
+      type: CLEAR_TAB_OVERRIDE,
+      url: window.location.href,
+    });
+    return null;
+  }
+
+  const response = await sendMessageToBackground({
+    type: SET_TAB_OVERRIDE,
+    url: window.location.href,
+    deviceType: deviceType,
+  });
+
+  return response.override;
+}
+
+/**
+ * Check whether this tab was activated from the toolbar (manual activation mode)
+ * @returns {Promise<boolean>}
+ */
+async function isTabActivated() {
+  const response = await sendMessageToBackground({
+    type: GET_TAB_ACTIVATION,
+    url: window.location.href,
+  });
+
+  return response.active === true;
+}
+
+/**
+ * Check whether the site kept the mode requested for this tab
+ * The background compares the cookie jar and page responses with the requested mode
+ * @returns {Promise<Object|null>} Mismatch as { expected, actual, source, reason } or null
+ */
+async function getModeMismatch() {
+  const response = await sendMessageToBackground({
+    type: GET_MODE_MISMATCH,
+    url: window.location.href,
+  });
+
+  return response.mismatch || null;
+}
+
+/**
+ * Get the cookies the pin restored on this site during this browser session
+ * @returns {Promise<Object[]>} Log entries as { name, value, restored, at } (paused: true when the pin gave up)
+ */
+async function getPinLog() {
+  const response = await sendMessageToBackground({
+    type: GET_PIN_LOG,
+    url: window.location.href,
+  });
+
+  return response.entries || [];
+}
+
+/**
+ * Get the device cookies of this site with their attributes, for the details view
+ * @returns {Promise<Object>} { attributes, error, cookies: [{ name, cookie }] } - error says why
+ *   cookies cannot be set with the configured attributes, cookie is null when missing
+ */
+async function getCookieDetails() {
+  const response = await sendMessageToBackground({
+    type: GET_COOKIE_DETAILS,
+    url: window.location.href,
+  });
+
+  return response.details;
+}
+
+/**
+ * Get every cookie the browser sends to this page, for the cookie inspector
+ * @returns {Promise<Object[]>} Cookies as returned by the cookies API
+ */
+async function getPageCookies() {
+  const response = await sendMessageToBackground({
+    type: GET_ALL_COOKIES,
+    url: window.location.href,
+  });
+
+  return response.cookies || [];
+}
+
+/**
+ * Write a value to one of the site's device cookies, from the cookie inspector
+ * The background only accepts cookies of the site's cookie profile
+ * @param {string} name - Cookie name
+ * @param {string} value - New value, need not belong to a mode
+ */
+async function setDeviceCookieValue(name, value) {
+  await sendMessageToBackground({
+    type: SET_COOKIE_VALUE,
+    url: window.location.href,
+    name: name,
+    value: value,
+  });
+}
+
+/**
+ * Remove one of the site's device cookies, from the cookie inspector
+ * @param {string} name - Cookie name
+ */
+async function removeDeviceCookie(name) {
+  await sendMessageToBackground({
+    type: REMOVE_COOKIE,
+    url: window.location.href,
+    name: name,
+  });
+}
+
 /**
  * Get the cookie value for a specific cookie name
  */
@@ -134,12 +360,21 @@ async function getCookie(name) {
   }
 }
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    DEVICE_TYPES,
-    getCurrentDevice,
-    setDeviceType,
-    getCookie,
-  };
-}
+export {
+  getCurrentDevice,
+  setDeviceType,
+  clearDeviceType,
+  buildDeviceUrl,
+  buildDefaultUrl,
+  getTabOverride,
+  setTabScope,
+  isTabActivated,
+  getModeMismatch,
+  getPinLog,
+  getCookieDetails,
+  getPageCookies,
+  setDeviceCookieValue,
+  removeDeviceCookie,
+  getCookie,
+  sendMessageToBackground,
+};
@@ -0,0 +1,306 @@
+// Domain Rules - allowlist/blocklist rule grammar, validation and matching
+// Has no chrome.* or DOM dependencies, so it can be imported anywhere
+// (content scripts, the background service worker, or Node)
+//
+// Grammar:
+//   rule    = [ "!" ] host [ ":" port ]
+//   host    = domain | pattern | ipv4 | "[" ipv6 "]" | "*"
+//
+//   example.com          example.com and all of its subdomains
+//   *.example.com        subdomains of example.com only, not example.com itself
+//   shop-*.example.com   "*" matches within one label (shop-eu.example.com)
+//   localhost:3000       host and port must both match
+//   192.168.1.20         IP addresses match exactly
+//   !admin.example.com   exclusion, overrides broader rules for matching hosts
+//   *                    every host (useful together with exclusions)
+//
+// Precedence: the most specific matching rule decides. A rule with a port beats
+// one without, an exact host beats a domain or pattern, and among the rest the
+// rule with more literal characters wins. On a tie, the exclusion wins.
+// When the list has no inclusion rules, hosts are allowed unless excluded.
+
+const LABEL_PATTERN_REGEX = /^[a-z0-9*](?:[a-z0-9*-]{0,61}[a-z0-9*])?$/;
+const IPV4_REGEX = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+const IPV6_REGEX = /^\[[0-9a-f:.]+\]$/;
+
+/**
+ * Parse and validate a single rule
+ * @param {string} input - Rule as typed by the user (protocol, www. and paths are stripped)
+ * @returns {Object} Parsed rule as { rule, exclude, type, host, port, literalLength, regex }
+ *   type is one of: domain, pattern, ip, any
+ * @throws {Error} With a message describing what is wrong with the rule
+ */
+function parseDomainRule(input) {
+  if (typeof input !== 'string') {
+    throw new Error('Rule must be a string');
+  }
+
+  let text = input.trim().toLowerCase();
+  let exclude = false;
+
+  if (text.startsWith('!')) {
+    exclude = true;
+    text = text.slice(1).trim();
+  }
+
+  text = text
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#].*$/, '');
+
+  if (!text) {
+    throw new Error(`Empty rule: "${input}"`);
+  }
+  if (text.startsWith('!')) {
+    throw new Error(`Only one "!" is allowed: "${input}"`);
+  }
+
+  // Split off the port, keeping IPv6 brackets intact
+  let host = text;
+  let port = null;
+
+  if (text.startsWith('[')) {
+    const end = text.indexOf(']');
+    if (end === -1) {
+      throw new Error(`Invalid IPv6 address: "${input}"`);
+    }
+    host = text.slice(0, end + 1);
+
+    const rest = text.slice(end + 1);
+    if (rest) {
+      if (!rest.startsWith(':')) {
+        throw new Error(`Invalid port in "${input}"`);
+      }
+      port = rest.slice(1);
+    }
+  } else if (text.includes(':')) {
+    const colon = text.lastIndexOf(':');
+    host = text.slice(0, colon);
+    port = text.slice(colon + 1);
+  }
+
+  if (port !== null) {
+    const portNumber = Number(port);
+    if (!/^\d+$/.test(port) || portNumber < 1 || portNumber > 65535) {
+      throw new Error(`Invalid port in "${input}": ports must be 1-65535`);
+    }
+    port = String(portNumber);
+  }
+
+  const parsed = { exclude, host, port, type: null, literalLength: 0, regex: null };
+
+  if (host === '*') {
+    parsed.type = 'any';
+    parsed.regex = /^.+$/;
+  } else if (IPV6_REGEX.test(host)) {
+    parsed.type = 'ip';
+  } else if (IPV4_REGEX.test(host)) {
+    if (host.split('.').some((octet) => Number(octet) > 255)) {
+      throw new Error(`Invalid IP address: "${host}"`);
+    }
+    parsed.type = 'ip';
+  } else {
+    // www. adds nothing, subdomains are covered by the domain rule anyway
+    host = host.replace(/^www\./, '');
+    parsed.host = host;
+
+    const labels = host.split('.');
+    if (host.length > 253 || labels.some((label) => !LABEL_PATTERN_REGEX.test(label))) {
+      throw new Error(`Invalid domain format: "${input}". Use e.g. example.com, *.example.com or shop-*.example.com`);
+    }
+    if (labels.slice(1).some((label) => label === '*')) {
+      throw new Error(`"*." is only allowed at the start of a rule: "${input}"`);
+    }
+    if (/^\d+$/.test(labels[labels.length - 1])) {
+      throw new Error(`Invalid IP address: "${host}"`);
+    }
+
+    if (host.includes('*')) {
+      parsed.type = 'pattern';
+      parsed.regex = buildPatternRegex(labels);
+    } else {
+      parsed.type = 'domain';
+    }
+  }
+
+  parsed.literalLength = parsed.host.replace(/\*/g, '').length;
+  parsed.rule = `${exclude ? '!' : ''}${parsed.host}${port ? `:${port}` : ''}`;
+
+  return parsed;
+}
+
+/**
+ * Build the regular expression for a wildcard pattern
+ * A leading "*" label stands for one or more labels, any other "*" stays within its label
+ */
+function buildPatternRegex(labels) {
+  const parts = labels.map((label, index) => {
+    if (index === 0 && label === '*') {
+      return '(?:[a-z0-9-]+\\.)*[a-z0-9-]+';
+    }
+    return label.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&')).join('[a-z0-9-]*');
+  });
+
+  return new RegExp(`^${parts.join('\\.')}$`);
+}
+
+/**
+ * Normalize a rule for storage
+ * @param {string} input - Rule as typed by the user
+ * @returns {string} Canonical rule text
+ * @throws {Error} If the rule is invalid
+ */
+function normalizeDomainRule(input) {
+  return parseDomainRule(input).rule;
+}
+
+/**
+ * Validate a list of rules without throwing
+ * @param {string[]} rules - Rules to check
+ * @returns {{ rules: string[], errors: Array<{ rule: string, message: string }> }}
+ *   Normalized valid rules (deduplicated) and one error per invalid rule
+ */
+function validateDomainRules(rules) {
+  const valid = [];
+  const errors = [];
+
+  rules.forEach((rule) => {
+    try {
+      const normalized = normalizeDomainRule(rule);
+      if (!valid.includes(normalized)) {
+        valid.push(normalized);
+      }
+    } catch (error) {
+      errors.push({ rule, message: error.message });
+    }
+  });
+
+  return { rules: valid, errors };
+}
+
+/**
+ * Match a parsed rule against a host
+ * @param {Object} parsed - Rule from parseDomainRule
+ * @param {string} hostname - Lowercase hostname (IPv6 in brackets, as in URL.hostname)
+ * @param {string} port - Effective port of the page
+ * @returns {number[]|null} Specificity (compare element by element) or null when not matching
+ */
+function matchDomainRule(parsed, hostname, port) {
+  if (parsed.port && parsed.port !== String(port)) {
+    return null;
+  }
+
+  let exact = false;
+
+  switch (parsed.type) {
+    case 'any':
+      break;
+
+    case 'ip':
+      if (hostname !== parsed.host) return null;
+      exact = true;
+      break;
+
+    case 'domain':
+      exact = hostname === parsed.host || hostname === `www.${parsed.host}`;
+      if (!exact && !hostname.endsWith(`.${parsed.host}`)) return null;
+      break;
+
+    case 'pattern':
+      if (!parsed.regex.test(hostname)) return null;
+      break;
+
+    default:
+      return null;
+  }
+
+  return [parsed.port ? 1 : 0, exact ? 1 : 0, parsed.literalLength];
+}
+
+/**
+ * Compare two specificity arrays
+ * @returns {number} Positive when a is more specific than b
+ */
+function compareSpecificity(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Decide whether a host is allowed by a list of rules
+ * Invalid rules are skipped
+ * @param {string[]} rules - Stored rules
+ * @param {string} hostname - Page hostname
+ * @param {string|number} port - Effective page port (e.g. 443 for https without explicit port)
+ * @returns {{ allowed: boolean, rule: string|null }} Decision and the rule that made it
+ */
+function evaluateDomainRules(rules, hostname, port) {
+  const host = hostname.toLowerCase();
+  let best = null;
+  let hasInclusions = false;
+
+  rules.forEach((rule) => {
+    let parsed;
+    try {
+      parsed = parseDomainRule(rule);
+    } catch {
+      return;
+    }
+
+    if (!parsed.exclude) {
+      hasInclusions = true;
+    }
+
+    const specificity = matchDomainRule(parsed, host, port);
+    if (!specificity) {
+      return;
+    }
+
+    const comparison = best ? compareSpecificity(specificity, best.specificity) : 1;
+    if (comparison > 0 || (comparison === 0 && parsed.exclude && !best.parsed.exclude)) {
+      best = { parsed, specificity };
+    }
+  });
+
+  if (best) {
+    return { allowed: !best.parsed.exclude, rule: best.parsed.rule };
+  }
+
+  return { allowed: !hasInclusions, rule: null };
+}
+
+/**
+ * Check whether a host is allowed by a list of rules
+ * @param {string[]} rules - Stored rules
+ * @param {string} hostname - Page hostname
+ * @param {string|number} port - Effective page port
+ * @returns {boolean}
+ */
+function isHostAllowed(rules, hostname, port) {
+  return evaluateDomainRules(rules, hostname, port).allowed;
+}
+
+/**
+ * Get the effective port of a location-like object
+ * @param {{ port: string, protocol: string }} location - e.g. window.location or a URL
+ * @returns {string} Explicit port, or the protocol's default port
+ */
+function getEffectivePort(location) {
+  if (location.port) {
+    return location.port;
+  }
+  return location.protocol === 'https:' ? '443' : '80';
+}
+
+export {
+  parseDomainRule,
+  normalizeDomainRule,
+  validateDomainRules,
+  matchDomainRule,
+  evaluateDomainRules,
+  isHostAllowed,
+  getEffectivePort,
+};
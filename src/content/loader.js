@@ -0,0 +1,9 @@
+// Content script loader - the only script the manifest injects
+// Content scripts cannot be ES modules, so this classic script imports content.js, which
+// brings in the rest of the module graph. Imported modules run in the content script's
+// isolated world with access to chrome.*, and nothing is added to the page's global scope.
+// The modules are listed in web_accessible_resources so the page's origin may load them.
+
+import(chrome.runtime.getURL('src/content/content.js')).catch((error) => {
+  console.error('Failed to load Device Output Switcher:', error);
+});
@@ -0,0 +1,338 @@
+// Storage Areas - decides where the configuration lives
+// Imported by storage-manager.js (content scripts and the background service worker)
+//
+// The configuration is kept in chrome.storage.local, or in chrome.storage.sync when
+// the user turns on syncing (a per-browser choice, so the flag itself stays local).
+//
+// chrome.storage.sync resolves conflicts per item: the last write wins. Keeping a
+// whole list in one item would let two browsers that edit it at the same time
+// overwrite each other's entries. In sync, lists and domain-keyed maps are therefore
+// split into one item per entry ("allowlist/example.com"), so concurrent edits of
+// different entries merge, and only edits of the same entry fall back to last write wins.
+//
+// chrome.storage.managed holds the enterprise policy (see managed_schema.json). Its
+// entries are added to the user's lists and cannot be changed from the extension.
+//
+// Single items are read and written through typed accessors (defineStorageItem), which
+// fall back to a default for missing or mistyped values and validate before writing.
+
+const SYNC_ENABLED_KEY = 'syncEnabled';
+
+// Keys that follow the sync setting, everything else (header rules, tab state) stays local
+const CONFIG_KEYS = ['allowlist', 'blocklist', 'deviceModes', 'cookieProfiles', 'domainSettings', 'preferences'];
+
+// Keys split into one sync item per entry, as lists (entry -> time added) or maps (key -> value)
+const SPLIT_LIST_KEYS = ['allowlist', 'blocklist'];
+const SPLIT_MAP_KEYS = ['cookieProfiles', 'domainSettings'];
+const SPLIT_SEPARATOR = '/';
+
+// Value checks for the typed accessors of defineStorageItem
+const STORAGE_TYPES = {
+  array: Array.isArray,
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  boolean: (value) => typeof value === 'boolean',
+  number: (value) => Number.isFinite(value),
+};
+
+/**
+ * Typed accessor for a single storage item, created by defineStorageItem
+ * @template T
+ * @typedef {Object} StorageItem
+ * @property {string} key - Storage key
+ * @property {() => Promise<T>} get - Stored value, or the fallback when nothing (or a value of the wrong type) is stored
+ * @property {(value: T) => Promise<T>} set - Validate and store a value, resolves to the stored value
+ * @property {(change: (value: T) => T) => Promise<T>} update - Store the result of change(current value)
+ */
+
+/**
+ * Define a typed accessor for a storage item
+ * @template T
+ * @param {string} key - Storage key
+ * @param {Object} options
+ * @param {string} [options.area] - config (local or sync, see readConfig), local or session
+ * @param {string} options.type - One of STORAGE_TYPES
+ * @param {() => T} options.fallback - Value used while nothing is stored
+ * @param {(value: T) => T} [options.validate] - Returns the value to store, throws if it is invalid
+ * @returns {StorageItem<T>}
+ */
+function defineStorageItem(key, { area = 'config', type, fallback, validate = (value) => value }) {
+  const isType = STORAGE_TYPES[type];
+  if (!isType) {
+    throw new Error(`Unknown storage type for "${key}": "${type}"`);
+  }
+
+  const read = area === 'config' ? readConfig : (keys) => getStorageItems(area, keys);
+  const write = area === 'config' ? writeConfig : (items) => setStorageItems(area, items);
+
+  const item = {
+    key,
+
+    async get() {
+      const result = await read([key]);
+      return isType(result[key]) ? result[key] : fallback();
+    },
+
+    async set(value) {
+      const validated = validate(value);
+      if (!isType(validated)) {
+        throw new Error(`"${key}" must be of type ${type}`);
+      }
+
+      await write({ [key]: validated });
+      return validated;
+    },
+
+    async update(change) {
+      return item.set(change(await item.get()));
+    },
+  };
+
+  return item;
+}
+
+/**
+ * Read items from a storage area
+ * @param {string} area - local, sync, session or managed
+ * @param {string[]|null} keys - Keys to read, null for everything
+ * @returns {Promise<Object>} Stored items
+ */
+async function getStorageItems(area, keys) {
+  return chrome.storage[area].get(keys);
+}
+
+/**
+ * Write items to a storage area
+ * @param {string} area - local, sync or session
+ * @param {Object} items - Items to write
+ * @returns {Promise<void>}
+ */
+async function setStorageItems(area, items) {
+  await chrome.storage[area].set(items);
+}
+
+/**
+ * Remove items from a storage area
+ * @param {string} area - local, sync or session
+ * @param {string[]} keys - Keys to remove
+ * @returns {Promise<void>}
+ */
+async function removeStorageItems(area, keys) {
+  if (keys.length > 0) {
+    await chrome.storage[area].remove(keys);
+  }
+}
+
+// Where this browser keeps its configuration
+const SYNC_ENABLED_ITEM = defineStorageItem(SYNC_ENABLED_KEY, { area: 'local', type: 'boolean', fallback: () => false });
+
+/**
+ * Check whether the configuration is stored in chrome.storage.sync
+ * @returns {Promise<boolean>}
+ */
+async function isSyncEnabled() {
+  return SYNC_ENABLED_ITEM.get();
+}
+
+/**
+ * Read configuration items from the active storage area
+ * @param {string[]} keys - Keys from CONFIG_KEYS
+ * @returns {Promise<Object>} Items keyed by config key (split sync items are joined again)
+ */
+async function readConfig(keys) {
+  if (!(await isSyncEnabled())) {
+    return getStorageItems('local', keys);
+  }
+
+  const joined = joinSyncItems(await getStorageItems('sync', null));
+  return Object.fromEntries(keys.filter((key) => key in joined).map((key) => [key, joined[key]]));
+}
+
+/**
+ * Write configuration items to the active storage area
+ * @param {Object} items - Items keyed by config key
+ * @returns {Promise<void>}
+ */
+async function writeConfig(items) {
+  if (!(await isSyncEnabled())) {
+    return setStorageItems('local', items);
+  }
+
+  const current = await getStorageItems('sync', null);
+  const { set, remove } = splitSyncItems(items, current);
+
+  // Write before removing, so an interrupted update never loses entries
+  if (Object.keys(set).length > 0) {
+    await setStorageItems('sync', set);
+  }
+  if (remove.length > 0) {
+    await removeStorageItems('sync', remove);
+  }
+}
+
+/**
+ * Remove configuration items from the active storage area
+ * @param {string[]} keys - Keys from CONFIG_KEYS
+ * @returns {Promise<void>}
+ */
+async function removeConfig(keys) {
+  if (!(await isSyncEnabled())) {
+    return removeStorageItems('local', keys);
+  }
+
+  const current = await getStorageItems('sync', null);
+  await removeStorageItems('sync', Object.keys(current).filter((itemKey) =>
+    keys.some((key) => itemKey === key || itemKey.startsWith(`${key}${SPLIT_SEPARATOR}`))
+  ));
+}
+
+/**
+ * Turn the split sync items back into whole config items
+ * @param {Object} syncItems - Everything stored in chrome.storage.sync
+ * @returns {Object} Config items
+ */
+function joinSyncItems(syncItems) {
+  const joined = {};
+  const listTimes = {};
+
+  Object.entries(syncItems).forEach(([itemKey, value]) => {
+    const separator = itemKey.indexOf(SPLIT_SEPARATOR);
+    const key = separator === -1 ? itemKey : itemKey.slice(0, separator);
+    const entry = itemKey.slice(separator + 1);
+
+    if (separator !== -1 && SPLIT_LIST_KEYS.includes(key)) {
+      listTimes[key] = listTimes[key] || [];
+      listTimes[key].push([entry, value]);
+    } else if (separator !== -1 && SPLIT_MAP_KEYS.includes(key)) {
+      joined[key] = joined[key] || {};
+      joined[key][entry] = value;
+    } else if (CONFIG_KEYS.includes(itemKey)) {
+      joined[itemKey] = value;
+    }
+  });
+
+  // Lists keep the order in which entries were added
+  Object.entries(listTimes).forEach(([key, entries]) => {
+    joined[key] = entries.sort((a, b) => a[1] - b[1]).map(([entry]) => entry);
+  });
+
+  return joined;
+}
+
+/**
+ * Work out which sync items to write and remove to store the given config items
+ * Entries that did not change are left alone, so they cannot clobber another browser's edits
+ * @param {Object} items - Config items to store
+ * @param {Object} syncItems - Everything currently stored in chrome.storage.sync
+ * @returns {{ set: Object, remove: string[] }}
+ */
+function splitSyncItems(items, syncItems) {
+  const set = {};
+  const remove = [];
+  const now = Date.now();
+
+  Object.entries(items).forEach(([key, value]) => {
+    const isList = SPLIT_LIST_KEYS.includes(key);
+
+    if (!isList && !SPLIT_MAP_KEYS.includes(key)) {
+      set[key] = value;
+      return;
+    }
+
+    const prefix = `${key}${SPLIT_SEPARATOR}`;
+    const entries = isList
+      ? Object.fromEntries(value.map((entry, index) => [entry, syncItems[prefix + entry] || now + index]))
+      : value;
+
+    Object.entries(entries).forEach(([entry, entryValue]) => {
+      if (JSON.stringify(syncItems[prefix + entry]) !== JSON.stringify(entryValue)) {
+        set[prefix + entry] = entryValue;
+      }
+    });
+
+    Object.keys(syncItems)
+      .filter((itemKey) => itemKey.startsWith(prefix) && !(itemKey.slice(prefix.length) in entries))
+      .forEach((itemKey) => remove.push(itemKey));
+  });
+
+  return { set, remove };
+}
+
+/**
+ * Turn syncing on or off
+ * Turning it on merges this browser's configuration into the synced one: list and map
+ * entries missing from sync are added, anything else already in sync is kept.
+ * Turning it off copies the synced configuration back to local storage.
+ * @param {boolean} enabled - Whether to store the configuration in chrome.storage.sync
+ * @returns {Promise<boolean>} The new setting
+ */
+async function setSyncEnabled(enabled) {
+  if (enabled === (await isSyncEnabled())) {
+    return enabled;
+  }
+
+  const local = await getStorageItems('local', CONFIG_KEYS);
+  const synced = joinSyncItems(await getStorageItems('sync', null));
+
+  if (!enabled) {
+    await setStorageItems('local', synced);
+    return SYNC_ENABLED_ITEM.set(false);
+  }
+
+  const merged = { ...local, ...synced };
+  SPLIT_LIST_KEYS.filter((key) => local[key]).forEach((key) => {
+    merged[key] = [...(synced[key] || []), ...local[key].filter((entry) => !(synced[key] || []).includes(entry))];
+  });
+  SPLIT_MAP_KEYS.filter((key) => local[key]).forEach((key) => {
+    merged[key] = { ...local[key], ...(synced[key] || {}) };
+  });
+
+  await SYNC_ENABLED_ITEM.set(true);
+  await writeConfig(merged);
+  return true;
+}
+
+/**
+ * Check whether a storage change affects a config key in the active area
+ * Split sync items ("domainSettings/example.com") count as their config key
+ * @param {Object} changes - Changes from chrome.storage.onChanged
+ * @param {string} key - Config key
+ * @returns {boolean}
+ */
+function hasConfigChange(changes, key) {
+  return Object.keys(changes).some((itemKey) => itemKey === key || itemKey.startsWith(`${key}${SPLIT_SEPARATOR}`));
+}
+
+/**
+ * Read the enterprise policy
+ * @returns {Promise<Object>} { allowlist, blocklist, activationMode } - activationMode is null when not locked
+ */
+async function getManagedConfig() {
+  let policy = {};
+
+  try {
+    policy = await getStorageItems('managed', null);
+  } catch {
+    // No policy support (e.g. outside of managed browsers on some platforms)
+  }
+
+  return {
+    allowlist: Array.isArray(policy.allowlist) ? policy.allowlist : [],
+    blocklist: Array.isArray(policy.blocklist) ? policy.blocklist : [],
+    activationMode: typeof policy.activationMode === 'string' ? policy.activationMode : null,
+  };
+}
+
+export {
+  CONFIG_KEYS,
+  defineStorageItem,
+  getStorageItems,
+  setStorageItems,
+  removeStorageItems,
+  isSyncEnabled,
+  setSyncEnabled,
+  readConfig,
+  writeConfig,
+  removeConfig,
+  hasConfigChange,
+  getManagedConfig,
+};
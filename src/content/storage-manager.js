@@ -1,98 +1,782 @@
-// Storage Manager - handles chrome.storage operations for domain whitelist
+// Storage Manager - handles chrome.storage operations for the allowlist and blocklist,
+// device modes, cookie profiles, per-domain settings and user preferences
+// Reads and writes go through the typed accessors of storage-areas.js, which pick local or sync storage
+// Also imported by the background service worker
+// Older storage layouts are upgraded by the background (see background/storage-migrations.js)
 
-const WHITELIST_KEY = 'domainWhitelist';
+import {
+  parseDomainRule,
+  normalizeDomainRule,
+  evaluateDomainRules,
+  isHostAllowed,
+  getEffectivePort,
+} from './domain-rules.js';
+import { SECONDS_PER_DAY } from '../shared/constants.js';
+import { defineStorageItem, getManagedConfig } from './storage-areas.js';
+
+const COOKIE_PROFILES_KEY = 'cookieProfiles';
+const DEVICE_MODES_KEY = 'deviceModes';
+const DOMAIN_SETTINGS_KEY = 'domainSettings';
+const PREFERENCES_KEY = 'preferences';
+
+// Where the switcher is active
+// allowlist: only on sites matching the allowlist, blocklist: everywhere except
+// sites matching the blocklist, manual: only in tabs activated from the toolbar
+const ACTIVATION_MODES = ['allowlist', 'blocklist', 'manual'];
+
+// Domain lists, each stored under its own name
+const DOMAIN_LISTS = ['allowlist', 'blocklist'];
+
+// Global user preferences
+const DEFAULT_PREFERENCES = {
+  showCard: true, // Inject the floating card into pages where the switcher is active
+  activationMode: 'blocklist', // One of ACTIVATION_MODES
+};
+
+// How a device change is applied to the page
+// reload: full page reload, refetch: re-fetch the URL and replace the DOM,
+// event: no reload, dispatch a page event the site can react to
+const APPLY_STRATEGIES = ['reload', 'refetch', 'event'];
+
+// How the selected mode reaches the server, any combination can be active
+// cookie: device cookies, header: custom request header, userAgent: User-Agent override,
+// urlParam: query parameter in the page URL (e.g. ?device=mobile)
+const SWITCH_METHODS = ['cookie', 'header', 'userAgent', 'urlParam'];
+
+// Request header names as allowed by RFC 7230 (token characters)
+const HEADER_NAME_REGEX = /^[!#$%&'*+\-.^_`|~0-9a-z]+$/i;
+
+// Query parameter names accepted for the URL parameter method
+const URL_PARAM_REGEX = /^[a-z0-9_.\-[\]]+$/i;
+
+// SameSite values for device cookies, none sends them in cross-site embeds (needs HTTPS)
+const COOKIE_SAME_SITE_VALUES = ['lax', 'strict', 'none'];
+
+// Browsers cap cookie lifetimes at 400 days
+const COOKIE_MAX_AGE_LIMIT = 400 * SECONDS_PER_DAY;
+
+// Cookie paths start with a slash and cannot contain separators or whitespace
+const COOKIE_PATH_REGEX = /^\/[^;,\s]*$/;
+
+// How device cookies are written
+const DEFAULT_COOKIE_ATTRIBUTES = {
+  domain: '', // Parent domain to share the cookies with (e.g. example.com), empty for the page's host
+  path: '/',
+  maxAge: 0, // Lifetime in seconds, 0 for a session cookie
+  sameSite: 'lax', // One of COOKIE_SAME_SITE_VALUES
+  partitioned: false, // CHIPS partitioned cookie (needs HTTPS)
+};
+
+// Settings used for domains without stored settings (and for missing fields)
+const DEFAULT_DOMAIN_SETTINGS = {
+  applyStrategy: 'reload',
+  switchMethods: ['cookie'],
+  headerName: 'X-Device-Output',
+  urlParam: 'device',
+  urlParamValues: {}, // Parameter value per mode id, defaults to the mode's cookie value
+  pinMode: false, // Restore the requested mode's cookies when the site changes them
+  cookieAttributes: DEFAULT_COOKIE_ATTRIBUTES,
+};
+
+// Modes shown until the user customizes the list
+// userAgent is optional and only used by the User-Agent switching method
+const DEFAULT_DEVICE_MODES = [
+  { id: 'desktop', emoji: '🖥️', label: 'D', value: 'desktop' },
+  {
+    id: 'mobile',
+    emoji: '📱',
+    label: 'M',
+    value: 'mobile',
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+  },
+  { id: 'app', emoji: '⚙️', label: 'A', value: 'app' },
+];
+
+const MODE_ID_REGEX = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+const MAX_MODE_LABEL_LENGTH = 16;
+const MAX_MODE_EMOJI_LENGTH = 8;
+
+// Profile used when no domain-specific profile is configured
+// Matches the original behaviour: deviceoutput is read first, devicetype second,
+// and both hold the device type name as their value
+const DEFAULT_COOKIE_PROFILE = {
+  cookies: [
+    { name: 'deviceoutput', priority: 0, values: {} },
+    { name: 'devicetype', priority: 1, values: {} },
+  ],
+};
+
+// Cookie names as allowed by RFC 6265 (token characters)
+const COOKIE_NAME_REGEX = /^[!#$%&'*+\-.^_`|~0-9a-z]+$/i;
+
+// Typed accessors for the configuration items, keyed by storage key
+const CONFIG_ITEMS = {
+  allowlist: defineStorageItem('allowlist', { type: 'array', fallback: () => [] }),
+  blocklist: defineStorageItem('blocklist', { type: 'array', fallback: () => [] }),
+  [DEVICE_MODES_KEY]: defineStorageItem(DEVICE_MODES_KEY, {
+    type: 'array',
+    fallback: () => DEFAULT_DEVICE_MODES.map((m) => ({ ...m })),
+    validate: validateDeviceModes,
+  }),
+  [COOKIE_PROFILES_KEY]: defineStorageItem(COOKIE_PROFILES_KEY, { type: 'object', fallback: () => ({}) }),
+  [DOMAIN_SETTINGS_KEY]: defineStorageItem(DOMAIN_SETTINGS_KEY, { type: 'object', fallback: () => ({}) }),
+  // Only the user's own preferences, see getPreferences for the effective ones
+  [PREFERENCES_KEY]: defineStorageItem(PREFERENCES_KEY, { type: 'object', fallback: () => ({}) }),
+};
 
 /**
- * Get the domain whitelist from storage
- * @returns {Promise<string[]>} Array of whitelisted domains
+ * Get a domain list from storage
+ * @param {string} list - One of DOMAIN_LISTS
+ * @returns {Promise<string[]>} Rules of the list
  */
-async function getWhitelist() {
-  return new Promise((resolve, reject) => {
-    chrome.storage.local.get([WHITELIST_KEY], (result) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve(result[WHITELIST_KEY] || []);
-      }
-    });
+async function getDomainList(list) {
+  validateDomainListName(list);
+
+  return CONFIG_ITEMS[list].get();
+}
+
+/**
+ * Save a domain list to storage
+ * @param {string} list - One of DOMAIN_LISTS
+ * @param {string[]} domains - Rules to store
+ * @returns {Promise<void>}
+ */
+async function saveDomainList(list, domains) {
+  validateDomainListName(list);
+
+  await CONFIG_ITEMS[list].set(domains);
+}
+
+/**
+ * Add a rule to a domain list
+ * @param {string} list - One of DOMAIN_LISTS
+ * @param {string} domain - Rule to add
+ * @returns {Promise<string[]>} Updated list
+ */
+async function addDomainToList(list, domain) {
+  const domains = await getDomainList(list);
+  const normalizedDomain = normalizeDomain(domain);
+
+  if (!domains.includes(normalizedDomain)) {
+    domains.push(normalizedDomain);
+    await saveDomainList(list, domains);
+  }
+
+  return domains;
+}
+
+/**
+ * Remove a rule from a domain list
+ * @param {string} list - One of DOMAIN_LISTS
+ * @param {string} domain - Rule to remove
+ * @returns {Promise<string[]>} Updated list
+ */
+async function removeDomainFromList(list, domain) {
+  const [domains, managed] = await Promise.all([getDomainList(list), getManagedConfig()]);
+  const normalizedDomain = normalizeDomain(domain);
+
+  if (!domains.includes(normalizedDomain) && managed[list].includes(normalizedDomain)) {
+    throw new Error(`"${normalizedDomain}" is set by your administrator and cannot be removed`);
+  }
+
+  const updated = domains.filter((d) => d !== normalizedDomain);
+  await saveDomainList(list, updated);
+
+  return updated;
+}
+
+/**
+ * Get a domain list including the rules set by enterprise policy, for display
+ * Policy rules come first and cannot be edited
+ * @param {string} list - One of DOMAIN_LISTS
+ * @returns {Promise<string[]>} Policy rules followed by the user's rules
+ */
+async function getEffectiveDomainList(list) {
+  const [domains, managed] = await Promise.all([getDomainList(list), getManagedConfig()]);
+  return [...managed[list], ...domains.filter((domain) => !managed[list].includes(domain))];
+}
+
+/**
+ * Make a blocked host active again
+ * Removes the host's own rule, or adds an exclusion when a broader rule blocks it
+ * Hosts blocked by enterprise policy cannot be unblocked
+ * @param {string} hostname - Host to unblock
+ * @returns {Promise<string[]>} Updated blocklist
+ */
+async function unblockDomain(hostname) {
+  const [blocklist, managed] = await Promise.all([getDomainList('blocklist'), getManagedConfig()]);
+  const rule = normalizeDomain(hostname);
+  const { allowed, rule: policyRule } = evaluateDomainRules(managed.blocklist, hostname, '');
+
+  if (allowed && policyRule) {
+    throw new Error(`"${rule}" is blocked by your administrator (${policyRule})`);
+  }
+
+  if (blocklist.includes(rule)) {
+    return removeDomainFromList('blocklist', rule);
+  }
+
+  return addDomainToList('blocklist', `!${rule}`);
+}
+
+/**
+ * Throw for unknown domain list names
+ */
+function validateDomainListName(list) {
+  if (!DOMAIN_LISTS.includes(list)) {
+    throw new Error(`Unknown domain list: "${list}"`);
+  }
+}
+
+/**
+ * Get the ordered list of device modes from storage
+ * @returns {Promise<Object[]>} Modes as { id, emoji, label, value }
+ */
+async function getDeviceModes() {
+  const modes = await CONFIG_ITEMS[DEVICE_MODES_KEY].get();
+
+  return modes.length > 0 ? modes : DEFAULT_DEVICE_MODES.map((m) => ({ ...m }));
+}
+
+/**
+ * Save the ordered list of device modes to storage
+ * @param {Object[]} modes - Modes to save
+ * @returns {Promise<void>}
+ */
+async function saveDeviceModes(modes) {
+  await CONFIG_ITEMS[DEVICE_MODES_KEY].set(modes);
+}
+
+/**
+ * Add a new device mode at the end of the list
+ * The id is derived from the cookie value and kept stable on later edits
+ * @param {Object} mode - Mode as { emoji, label, value, userAgent }
+ * @returns {Promise<Object[]>} Updated modes
+ */
+async function addDeviceMode(mode) {
+  const modes = await getDeviceModes();
+  const baseId = String(mode.value || '').toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '') || 'mode';
+
+  // Ensure the id is unique
+  let id = baseId;
+  for (let i = 2; modes.some((m) => m.id === id); i++) {
+    id = `${baseId}-${i}`;
+  }
+
+  modes.push({ id, emoji: mode.emoji, label: mode.label, value: mode.value, userAgent: mode.userAgent });
+  await saveDeviceModes(modes);
+
+  return modes;
+}
+
+/**
+ * Update the emoji, label, value or User-Agent of an existing mode
+ * @param {string} id - Mode id
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object[]>} Updated modes
+ */
+async function updateDeviceMode(id, changes) {
+  const modes = await getDeviceModes();
+  const index = modes.findIndex((m) => m.id === id);
+
+  if (index === -1) {
+    throw new Error(`Unknown device mode: ${id}`);
+  }
+
+  const { emoji, label, value, userAgent } = { ...modes[index], ...changes };
+  modes[index] = { id, emoji, label, value, userAgent };
+  await saveDeviceModes(modes);
+
+  return modes;
+}
+
+/**
+ * Delete a device mode
+ * @param {string} id - Mode id
+ * @returns {Promise<Object[]>} Updated modes
+ */
+async function removeDeviceMode(id) {
+  const modes = await getDeviceModes();
+  const updated = modes.filter((m) => m.id !== id);
+
+  if (updated.length === 0) {
+    throw new Error('At least one device mode is required');
+  }
+
+  await saveDeviceModes(updated);
+
+  return updated;
+}
+
+/**
+ * Move a device mode up or down in the list
+ * @param {string} id - Mode id
+ * @param {number} offset - Positions to move (-1 = up, 1 = down)
+ * @returns {Promise<Object[]>} Updated modes
+ */
+async function moveDeviceMode(id, offset) {
+  const modes = await getDeviceModes();
+  const index = modes.findIndex((m) => m.id === id);
+  const target = index + offset;
+
+  if (index === -1 || target < 0 || target >= modes.length) {
+    return modes;
+  }
+
+  const [mode] = modes.splice(index, 1);
+  modes.splice(target, 0, mode);
+  await saveDeviceModes(modes);
+
+  return modes;
+}
+
+/**
+ * Validate a list of device modes and return a normalized copy
+ * @param {Object[]} modes - Modes to validate
+ * @returns {Object[]} Normalized modes
+ */
+function validateDeviceModes(modes) {
+  if (!Array.isArray(modes) || modes.length === 0) {
+    throw new Error('At least one device mode is required');
+  }
+
+  const ids = new Set();
+  const values = new Set();
+
+  return modes.map((mode) => {
+    const id = String(mode.id || '');
+    const emoji = String(mode.emoji || '').trim();
+    const label = String(mode.label || '').trim();
+    const value = String(mode.value || '').trim();
+    const userAgent = String(mode.userAgent || '').trim();
+
+    if (!MODE_ID_REGEX.test(id)) {
+      throw new Error(`Invalid mode id: "${id}"`);
+    }
+    if (!emoji || emoji.length > MAX_MODE_EMOJI_LENGTH) {
+      throw new Error(`Mode "${id}" needs an emoji`);
+    }
+    if (!label || label.length > MAX_MODE_LABEL_LENGTH) {
+      throw new Error(`Mode label must be 1-${MAX_MODE_LABEL_LENGTH} characters`);
+    }
+    if (!value || /[;,\s]/.test(value)) {
+      throw new Error(`Invalid cookie value for mode "${label}": "${value}"`);
+    }
+    if (/[\r\n]/.test(userAgent)) {
+      throw new Error(`Invalid User-Agent for mode "${label}"`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`Duplicate mode id: "${id}"`);
+    }
+    if (values.has(value)) {
+      throw new Error(`Cookie value "${value}" is used by more than one mode`);
+    }
+
+    ids.add(id);
+    values.add(value);
+
+    return userAgent ? { id, emoji, label, value, userAgent } : { id, emoji, label, value };
   });
 }
 
 /**
- * Save the domain whitelist to storage
- * @param {string[]} domains - Array of domains to whitelist
+ * Get all cookie profiles from storage
+ * @returns {Promise<Object<string, Object>>} Profiles keyed by domain
+ */
+async function getCookieProfiles() {
+  return CONFIG_ITEMS[COOKIE_PROFILES_KEY].get();
+}
+
+/**
+ * Save all cookie profiles to storage
+ * @param {Object<string, Object>} profiles - Profiles keyed by domain
  * @returns {Promise<void>}
  */
-async function saveWhitelist(domains) {
-  return new Promise((resolve, reject) => {
-    chrome.storage.local.set({ [WHITELIST_KEY]: domains }, () => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve();
+async function saveCookieProfiles(profiles) {
+  await CONFIG_ITEMS[COOKIE_PROFILES_KEY].set(profiles);
+}
+
+/**
+ * Get the cookie profile that applies to a hostname
+ * A profile stored for example.com also applies to its subdomains,
+ * the most specific match wins. Falls back to the default profile.
+ * @param {string} hostname - Hostname to resolve (e.g., shop.example.com)
+ * @returns {Promise<Object>} Validated profile with cookies sorted by read priority
+ */
+async function getCookieProfile(hostname) {
+  const profiles = await getCookieProfiles();
+  const profile = findDomainEntry(profiles, hostname);
+
+  if (profile) {
+    try {
+      return validateCookieProfile(profile);
+    } catch (error) {
+      // A broken stored profile must not break switching, use the default instead
+      console.warn(`Ignoring invalid cookie profile for ${hostname}:`, error.message);
+    }
+  }
+
+  return validateCookieProfile(DEFAULT_COOKIE_PROFILE);
+}
+
+/**
+ * Store a cookie profile for a domain
+ * @param {string} domain - Domain the profile applies to (subdomains included)
+ * @param {Object} profile - Profile to store
+ * @returns {Promise<Object<string, Object>>} Updated profiles
+ */
+async function setCookieProfile(domain, profile) {
+  const profiles = await getCookieProfiles();
+  profiles[normalizeSettingsDomain(domain)] = validateCookieProfile(profile);
+  await saveCookieProfiles(profiles);
+
+  return profiles;
+}
+
+/**
+ * Remove the cookie profile for a domain, reverting it to the default profile
+ * @param {string} domain - Domain to remove the profile for
+ * @returns {Promise<Object<string, Object>>} Updated profiles
+ */
+async function removeCookieProfile(domain) {
+  const profiles = await getCookieProfiles();
+  delete profiles[normalizeSettingsDomain(domain)];
+  await saveCookieProfiles(profiles);
+
+  return profiles;
+}
+
+/**
+ * Validate a cookie profile and return a normalized copy
+ * Profile format:
+ *   { cookies: [{ name: 'x-device', priority: 0, values: { mobile: 'm' } }] }
+ * - name: cookie to set and read
+ * - priority: read order, lower values are checked first (defaults to list order)
+ * - values: cookie value to write per mode id (defaults to the mode's own value)
+ * @param {Object} profile - Profile to validate
+ * @returns {Object} Normalized profile with cookies sorted by priority
+ */
+function validateCookieProfile(profile) {
+  if (!profile || !Array.isArray(profile.cookies) || profile.cookies.length === 0) {
+    throw new Error('Cookie profile must define at least one cookie');
+  }
+
+  const names = new Set();
+  const cookies = profile.cookies.map((cookie, index) => {
+    if (!cookie || typeof cookie.name !== 'string' || !COOKIE_NAME_REGEX.test(cookie.name)) {
+      throw new Error(`Invalid cookie name: "${cookie && cookie.name}"`);
+    }
+    if (names.has(cookie.name)) {
+      throw new Error(`Duplicate cookie name: "${cookie.name}"`);
+    }
+    names.add(cookie.name);
+
+    const priority = cookie.priority === undefined ? index : cookie.priority;
+    if (!Number.isFinite(priority)) {
+      throw new Error(`Invalid priority for cookie "${cookie.name}"`);
+    }
+
+    const values = {};
+    Object.entries(cookie.values || {}).forEach(([deviceType, value]) => {
+      if (typeof value !== 'string' || value === '' || /[;,\s]/.test(value)) {
+        throw new Error(`Invalid value for "${deviceType}" in cookie "${cookie.name}"`);
       }
+      values[deviceType] = value;
     });
+
+    return { name: cookie.name, priority, values };
   });
+
+  cookies.sort((a, b) => a.priority - b.priority);
+
+  return { cookies };
 }
 
 /**
- * Add a domain to the whitelist
- * @param {string} domain - Domain to add
- * @returns {Promise<string[]>} Updated whitelist
+ * Get the value to write into a profile cookie for a device mode
+ * @param {Object} cookie - Cookie entry from a profile
+ * @param {Object} mode - Device mode being set
+ * @returns {string} Cookie value
  */
-async function addDomainToWhitelist(domain) {
-  const whitelist = await getWhitelist();
-  const normalizedDomain = normalizeDomain(domain);
+function resolveCookieValue(cookie, mode) {
+  return cookie.values[mode.id] || mode.value;
+}
 
-  if (!whitelist.includes(normalizedDomain)) {
-    whitelist.push(normalizedDomain);
-    await saveWhitelist(whitelist);
-  }
+/**
+ * Map a cookie value read from the browser back to a device mode
+ * @param {Object} cookie - Cookie entry from a profile
+ * @param {string} value - Cookie value found in the browser
+ * @param {Object[]} modes - Known device modes
+ * @returns {string|null} Matching mode id or null if the value is unknown
+ */
+function resolveDeviceType(cookie, value, modes) {
+  const mode = modes.find((m) => resolveCookieValue(cookie, m) === value);
+  return mode ? mode.id : null;
+}
 
-  return whitelist;
+/**
+ * Get the settings of all domains from storage
+ * @returns {Promise<Object<string, Object>>} Settings keyed by domain
+ */
+async function getAllDomainSettings() {
+  return CONFIG_ITEMS[DOMAIN_SETTINGS_KEY].get();
 }
 
 /**
- * Remove a domain from the whitelist
- * @param {string} domain - Domain to remove
- * @returns {Promise<string[]>} Updated whitelist
+ * Save the settings of all domains to storage
+ * @param {Object<string, Object>} settings - Settings keyed by domain
+ * @returns {Promise<void>}
  */
-async function removeDomainFromWhitelist(domain) {
-  const whitelist = await getWhitelist();
-  const normalizedDomain = normalizeDomain(domain);
+async function saveAllDomainSettings(settings) {
+  await CONFIG_ITEMS[DOMAIN_SETTINGS_KEY].set(settings);
+}
+
+/**
+ * Get the effective settings for a hostname
+ * Settings stored for a parent domain apply to its subdomains
+ * @param {string} hostname - Hostname to resolve
+ * @returns {Promise<Object>} Settings merged over the defaults
+ */
+async function getDomainSettings(hostname) {
+  const all = await getAllDomainSettings();
+  return { ...DEFAULT_DOMAIN_SETTINGS, ...(findDomainEntry(all, hostname) || {}) };
+}
 
-  const updated = whitelist.filter((d) => d !== normalizedDomain);
-  await saveWhitelist(updated);
+/**
+ * Change settings for a domain
+ * @param {string} hostname - Domain to store the settings under
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} Effective settings for the domain
+ */
+async function updateDomainSettings(hostname, changes) {
+  const all = await getAllDomainSettings();
+  const key = normalizeHostname(hostname);
+  // Start from the effective settings, which may be inherited from a parent domain
+  const current = { ...DEFAULT_DOMAIN_SETTINGS, ...(findDomainEntry(all, key) || {}) };
+  const updated = validateDomainSettings({
+    ...current,
+    ...changes,
+    // Cookie attributes can be changed one at a time
+    cookieAttributes: { ...current.cookieAttributes, ...changes.cookieAttributes },
+  });
+
+  all[key] = updated;
+  await saveAllDomainSettings(all);
 
   return updated;
 }
 
 /**
- * Normalize a domain for consistent storage
- * Removes protocol, www, and trailing slashes
- * @param {string} domain - Domain to normalize
- * @returns {string} Normalized domain
+ * Remove stored settings for a domain, reverting it to the defaults
+ * @param {string} domain - Domain to remove the settings for
+ * @returns {Promise<Object<string, Object>>} Updated settings of all domains
  */
-function normalizeDomain(domain) {
-  const normalized = domain
-    .toLowerCase()
-    .replace(/^https?:\/\//, '')
-    .replace(/^www\./, '')
-    .replace(/\/$/, '')
-    .trim();
+async function removeDomainSettings(domain) {
+  const all = await getAllDomainSettings();
+  delete all[normalizeHostname(domain)];
+  await saveAllDomainSettings(all);
+
+  return all;
+}
+
+/**
+ * Validate domain settings and return a normalized copy
+ * @param {Object} settings - Settings to validate
+ * @returns {Object} Normalized settings
+ */
+function validateDomainSettings(settings) {
+  if (!APPLY_STRATEGIES.includes(settings.applyStrategy)) {
+    throw new Error(`Invalid apply strategy: "${settings.applyStrategy}"`);
+  }
+
+  const switchMethods = Array.isArray(settings.switchMethods) ? settings.switchMethods : [];
+  if (switchMethods.length === 0 || switchMethods.some((method) => !SWITCH_METHODS.includes(method))) {
+    throw new Error('Choose at least one switching method (cookie, header, userAgent, urlParam)');
+  }
+
+  if (typeof settings.headerName !== 'string' || !HEADER_NAME_REGEX.test(settings.headerName)) {
+    throw new Error(`Invalid header name: "${settings.headerName}"`);
+  }
+
+  if (typeof settings.urlParam !== 'string' || !URL_PARAM_REGEX.test(settings.urlParam)) {
+    throw new Error(`Invalid URL parameter: "${settings.urlParam}"`);
+  }
+
+  const urlParamValues = {};
+  Object.entries(settings.urlParamValues || {}).forEach(([modeId, value]) => {
+    if (typeof value !== 'string' || value === '') {
+      throw new Error(`Invalid URL parameter value for "${modeId}"`);
+    }
+    urlParamValues[modeId] = value;
+  });
+
+  if (typeof settings.pinMode !== 'boolean') {
+    throw new Error('Pin mode must be on or off');
+  }
+
+  return {
+    applyStrategy: settings.applyStrategy,
+    // Keep the canonical order so stored settings compare equal
+    switchMethods: SWITCH_METHODS.filter((method) => switchMethods.includes(method)),
+    headerName: settings.headerName,
+    urlParam: settings.urlParam,
+    urlParamValues,
+    pinMode: settings.pinMode,
+    cookieAttributes: validateCookieAttributes({ ...DEFAULT_COOKIE_ATTRIBUTES, ...settings.cookieAttributes }),
+  };
+}
+
+/**
+ * Validate cookie attributes and return a normalized copy
+ * Whether the domain covers the page and HTTPS is available is only known when setting a cookie
+ * @param {Object} attributes - Attributes to validate
+ * @returns {Object} Normalized attributes
+ */
+function validateCookieAttributes(attributes) {
+  if (typeof attributes.domain !== 'string') {
+    throw new Error('Invalid cookie domain');
+  }
+  const domain = attributes.domain.trim() === '' ? '' : normalizeSettingsDomain(attributes.domain.trim().replace(/^\./, ''));
 
-  // Allow localhost and single-label hostnames (e.g., localhost, myapp)
-  if (normalized === 'localhost' || /^[a-z0-9-]+$/.test(normalized)) {
-    return normalized;
+  if (typeof attributes.path !== 'string' || !COOKIE_PATH_REGEX.test(attributes.path)) {
+    throw new Error(`Invalid cookie path: "${attributes.path}". Paths start with "/"`);
   }
 
-  // Validate standard domain format using regex (e.g., example.com, sub.example.co.uk)
-  const domainPattern = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9][a-z0-9-]{0,61}[a-z0-9]$/i;
-  if (!domainPattern.test(normalized)) {
-    throw new Error(`Invalid domain format: "${domain}". Please enter a valid domain (e.g., example.com)`);
+  if (!Number.isInteger(attributes.maxAge) || attributes.maxAge < 0 || attributes.maxAge > COOKIE_MAX_AGE_LIMIT) {
+    throw new Error(`Invalid cookie lifetime: "${attributes.maxAge}". Use 0 for a session cookie or up to 400 days`);
   }
 
-  return normalized;
+  if (!COOKIE_SAME_SITE_VALUES.includes(attributes.sameSite)) {
+    throw new Error(`Invalid SameSite value: "${attributes.sameSite}"`);
+  }
+
+  if (typeof attributes.partitioned !== 'boolean') {
+    throw new Error('Partitioned must be on or off');
+  }
+
+  return {
+    domain,
+    path: attributes.path,
+    maxAge: attributes.maxAge,
+    sameSite: attributes.sameSite,
+    partitioned: attributes.partitioned,
+  };
+}
+
+/**
+ * Get user preferences from storage
+ * An activation mode set by enterprise policy overrides the user's choice
+ * @returns {Promise<Object>} Preferences merged over the defaults
+ */
+async function getPreferences() {
+  const [stored, managed] = await Promise.all([CONFIG_ITEMS[PREFERENCES_KEY].get(), getManagedConfig()]);
+  const preferences = { ...DEFAULT_PREFERENCES, ...stored };
+
+  if (ACTIVATION_MODES.includes(managed.activationMode)) {
+    preferences.activationMode = managed.activationMode;
+  }
+
+  return preferences;
+}
+
+/**
+ * Change user preferences
+ * @param {Object} changes - Preferences to change
+ * @returns {Promise<Object>} Updated preferences
+ */
+async function updatePreferences(changes) {
+  const managed = await getManagedConfig();
+
+  if ('activationMode' in changes && managed.activationMode) {
+    throw new Error('The activation mode is set by your administrator');
+  }
+
+  // Store on top of the user's own preferences, not the policy-adjusted ones
+  await CONFIG_ITEMS[PREFERENCES_KEY].update((stored) => ({ ...DEFAULT_PREFERENCES, ...stored, ...validatePreferences(changes) }));
+
+  return getPreferences();
+}
+
+/**
+ * Validate (a subset of) preferences
+ * @param {Object} preferences - Preferences to check
+ * @returns {Object} The same preferences
+ * @throws {Error} For unknown preferences or values of the wrong type
+ */
+function validatePreferences(preferences) {
+  Object.entries(preferences).forEach(([key, value]) => {
+    if (!(key in DEFAULT_PREFERENCES)) {
+      throw new Error(`Unknown preference: "${key}"`);
+    }
+    if (typeof value !== typeof DEFAULT_PREFERENCES[key]) {
+      throw new Error(`Invalid value for preference "${key}"`);
+    }
+    if (key === 'activationMode' && !ACTIVATION_MODES.includes(value)) {
+      throw new Error(`Invalid activation mode: "${value}"`);
+    }
+  });
+
+  return preferences;
+}
+
+/**
+ * Normalize a hostname for lookups in domain-keyed storage
+ * Unlike normalizeSettingsDomain this never throws, so IPs and ports are kept as-is
+ * @param {string} hostname - Hostname to normalize
+ * @returns {string} Lowercase hostname without www prefix
+ */
+function normalizeHostname(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Find the entry for a hostname in an object keyed by domain
+ * Exact matches win, otherwise the closest parent domain is used
+ * @param {Object<string, *>} entries - Entries keyed by normalized domain
+ * @param {string} hostname - Hostname to look up
+ * @returns {*} Matching entry or null
+ */
+function findDomainEntry(entries, hostname) {
+  const host = normalizeHostname(hostname);
+
+  if (Object.prototype.hasOwnProperty.call(entries, host)) {
+    return entries[host];
+  }
+
+  // Prefer the longest (most specific) parent domain
+  const parent = Object.keys(entries)
+    .filter((domain) => isSubdomain(host, domain))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return parent ? entries[parent] : null;
+}
+
+/**
+ * Normalize a whitelist rule for consistent storage
+ * Accepts the full rule grammar of domain-rules.js (wildcards, ports, IPs, exclusions)
+ * @param {string} domain - Rule to normalize
+ * @returns {string} Normalized rule
+ * @throws {Error} If the rule is invalid
+ */
+function normalizeDomain(domain) {
+  return normalizeDomainRule(domain);
+}
+
+/**
+ * Normalize a domain used as key for cookie profiles and site settings
+ * These are looked up by hostname, so only plain domains and IPs are accepted
+ * @param {string} domain - Domain to normalize
+ * @returns {string} Normalized domain
+ * @throws {Error} If the domain is invalid or uses wildcards, ports or exclusions
+ */
+function normalizeSettingsDomain(domain) {
+  const parsed = parseDomainRule(domain);
+
+  if (parsed.exclude || parsed.port || (parsed.type !== 'domain' && parsed.type !== 'ip')) {
+    throw new Error(`Invalid domain: "${domain}". Use a plain domain without wildcards, ports or "!" (e.g., example.com)`);
+  }
+
+  return parsed.host;
 }
 
 /**
@@ -116,36 +800,44 @@ function isSubdomain(subdomain, domain) {
 }
 
 /**
- * Check if the current page's domain is in the whitelist
- * @returns {Promise<boolean>} True if current domain is whitelisted or whitelist is empty
+ * Check whether the switcher is active on a host in the given activation mode
+ * Manual activation is per tab and not decided here, so it always returns false
+ * See domain-rules.js for the rule grammar and precedence
+ * @param {string} activationMode - One of ACTIVATION_MODES
+ * @param {string} hostname - Page hostname
+ * @param {string|number} port - Effective page port
+ * @returns {Promise<boolean>} True if the host is active
  */
-async function isCurrentDomainWhitelisted() {
-  const whitelist = await getWhitelist();
-
-  // If whitelist is empty, show on all pages
-  if (whitelist.length === 0) {
-    return true;
+async function isDomainActive(activationMode, hostname, port) {
+  if (!DOMAIN_LISTS.includes(activationMode)) {
+    return false;
   }
 
-  const currentDomain = normalizeDomain(window.location.hostname);
-
-  // Check if current domain matches any whitelisted domain
-  return whitelist.some((domain) => {
-    // Exact match
-    if (currentDomain === domain) {
-      return true;
-    }
+  // Policy rules are evaluated on their own, so user exclusions cannot override them
+  const [domains, managed] = await Promise.all([getDomainList(activationMode), getManagedConfig()]);
+  const lists = [managed[activationMode], domains].filter((rules) => rules.length > 0);
 
-    // Subdomain match (e.g., api.example.com matches example.com)
-    // Use proper validation to prevent bypass (e.g., evilcom.example.com should NOT match example.com)
-    if (isSubdomain(currentDomain, domain)) {
-      return true;
-    }
+  if (activationMode === 'allowlist') {
+    // Unlike the old whitelist, an empty allowlist means active nowhere
+    return lists.some((rules) => isHostAllowed(rules, hostname, port));
+  }
 
-    return false;
+  // Blocked when the deciding rule of either list is a blocking (non-exclusion) rule
+  return !lists.some((rules) => {
+    const { allowed, rule } = evaluateDomainRules(rules, hostname, port);
+    return allowed && rule;
   });
 }
 
+/**
+ * Check whether the switcher is active on the current page's domain
+ * @param {string} activationMode - One of ACTIVATION_MODES
+ * @returns {Promise<boolean>}
+ */
+async function isCurrentDomainActive(activationMode) {
+  return isDomainActive(activationMode, window.location.hostname, getEffectivePort(window.location));
+}
+
 /**
  * Extract the root domain from a URL
  * @param {string} url - URL to extract domain from
@@ -155,15 +847,51 @@ function extractDomain(url) {
   return normalizeDomain(url);
 }
 
-// Export functions
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    getWhitelist,
-    saveWhitelist,
-    addDomainToWhitelist,
-    removeDomainFromWhitelist,
-    isCurrentDomainWhitelisted,
-    normalizeDomain,
-    extractDomain,
-  };
-}
+export {
+  ACTIVATION_MODES,
+  DOMAIN_LISTS,
+  CONFIG_ITEMS,
+  getDomainList,
+  getEffectiveDomainList,
+  saveDomainList,
+  addDomainToList,
+  removeDomainFromList,
+  unblockDomain,
+  isDomainActive,
+  isCurrentDomainActive,
+  normalizeDomain,
+  normalizeSettingsDomain,
+  extractDomain,
+  isSubdomain,
+  getDeviceModes,
+  saveDeviceModes,
+  addDeviceMode,
+  updateDeviceMode,
+  removeDeviceMode,
+  moveDeviceMode,
+  validateDeviceModes,
+  DEFAULT_DEVICE_MODES,
+  getCookieProfiles,
+  saveCookieProfiles,
+  getCookieProfile,
+  setCookieProfile,
+  removeCookieProfile,
+  validateCookieProfile,
+  resolveCookieValue,
+  resolveDeviceType,
+  getAllDomainSettings,
+  getDomainSettings,
+  updateDomainSettings,
+  removeDomainSettings,
+  validateDomainSettings,
+  validateCookieAttributes,
+  SWITCH_METHODS,
+  COOKIE_SAME_SITE_VALUES,
+  DEFAULT_COOKIE_ATTRIBUTES,
+  DEFAULT_DOMAIN_SETTINGS,
+  getPreferences,
+  updatePreferences,
+  validatePreferences,
+  APPLY_STRATEGIES,
+  DEFAULT_COOKIE_PROFILE,
+};
@@ -1,27 +1,111 @@
 // UI Module - renders and manages the device switcher card
 
-// Constants
-const ERROR_HIDE_DELAY_MS = 5000;
-
-const DEVICE_CONFIG = {
-  desktop: {
-    emoji: '🖥️',
-    label: 'D',
-  },
-  mobile: {
-    emoji: '📱',
-    label: 'M',
-  },
-  app: {
-    emoji: '⚙️',
-    label: 'A',
-  },
+import {
+  ERROR_HIDE_DELAY_MS,
+  SECONDS_PER_DAY,
+  APPLY_STRATEGY_LABELS,
+  SWITCH_METHOD_LABELS,
+} from '../shared/constants.js';
+
+const TOAST_DURATION_MS = 1500;
+
+// Custom element hosting the closed shadow root the card lives in
+const HOST_TAG = 'device-output-root';
+const STYLESHEET_PATH = 'src/content/styles.css';
+
+// Shadow root is closed, so the page cannot reach it - keep our own reference
+let shadowHost = null;
+let shadowRoot = null;
+let toastTimer = null;
+
+// The card's controls report to content.js through this private target. Events on the
+// page's document could be watched and forged by page scripts
+const cardEvents = new EventTarget();
+
+// Cookies last loaded into the inspector, filtered again on every keystroke
+let inspectorCookies = [];
+let inspectorDeviceNames = [];
+
+// Heading of the domain list shown for each activation mode
+const DOMAIN_LIST_LABELS = {
+  allowlist: 'Allowed domains:',
+  blocklist: 'Blocked domains:',
+};
+
+const SAME_SITE_LABELS = {
+  lax: 'Lax',
+  strict: 'Strict',
+  none: 'None (cross-site, HTTPS only)',
+};
+
+// SameSite values as reported by the cookies API
+const COOKIE_API_SAME_SITE_LABELS = {
+  lax: 'Lax',
+  strict: 'Strict',
+  no_restriction: 'None',
 };
 
+/**
+ * Get the shadow root the card is rendered into, attaching the host to the page if needed
+ * Styles are scoped to the root: the host page's CSS cannot reach the card and ours
+ * cannot leak into the page
+ */
+function mountShadowRoot() {
+  if (!shadowRoot) {
+    shadowHost = document.createElement(HOST_TAG);
+    shadowRoot = shadowHost.attachShadow({ mode: 'closed' });
+
+    // Reset inherited styles and keep the card invisible until the stylesheet has loaded
+    const baseStyle = document.createElement('style');
+    baseStyle.textContent = ':host { all: initial; } .device-output-card { visibility: hidden; }';
+
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = chrome.runtime.getURL(STYLESHEET_PATH);
+
+    shadowRoot.appendChild(baseStyle);
+    shadowRoot.appendChild(stylesheet);
+  }
+
+  if (!shadowHost.isConnected) {
+    document.body.appendChild(shadowHost);
+  }
+
+  return shadowRoot;
+}
+
+/**
+ * Get the element hosting the card's shadow root, if it is on the page
+ * @returns {Element|null}
+ */
+function getCardHost() {
+  return shadowHost && shadowHost.isConnected ? shadowHost : null;
+}
+
+/**
+ * Look up an element of the card by id
+ * Resolves against the card's shadow root, not the page document
+ * @param {string} id - Element id
+ * @returns {Element|null}
+ */
+function getCardElement(id) {
+  return shadowRoot ? shadowRoot.getElementById(id) : null;
+}
+
+/**
+ * Query elements of the card
+ * @param {string} selector - CSS selector
+ * @returns {NodeList|Array}
+ */
+function queryCardElements(selector) {
+  return shadowRoot ? shadowRoot.querySelectorAll(selector) : [];
+}
+
 /**
  * Create the device switcher card element
+ * @param {Object[]} modes - Device modes to render buttons for
  */
-function createCard() {
+function createCard(modes) {
   const card = document.createElement('div');
   card.className = 'device-output-card collapsed';
   card.id = 'device-output-switcher';
@@ -48,12 +132,13 @@ function createCard() {
   // Buttons container
   const buttonsContainer = document.createElement('div');
   buttonsContainer.className = 'device-output-buttons';
+  buttonsContainer.id = 'device-output-buttons';
 
-  // Create buttons for each device type
-  Object.entries(DEVICE_CONFIG).forEach(([deviceType, config]) => {
-    const button = createDeviceButton(deviceType, config);
-    buttonsContainer.appendChild(button);
+  // Create buttons for each device mode
+  modes.forEach((mode) => {
+    buttonsContainer.appendChild(createDeviceButton(mode));
   });
+  buttonsContainer.appendChild(createDefaultButton());
 
   // Settings panel
   const settingsPanel = createSettingsPanel();
@@ -64,12 +149,36 @@ function createCard() {
   errorContainer.id = 'device-output-error';
   errorContainer.textContent = '';
 
+  // Badge shown while the site did not keep the requested mode
+  const mismatchBadge = document.createElement('span');
+  mismatchBadge.className = 'device-output-mismatch-badge';
+  mismatchBadge.id = 'device-output-mismatch-badge';
+  mismatchBadge.textContent = '!';
+
+  // Badge shown while the site's mode is pinned
+  const pinBadge = document.createElement('span');
+  pinBadge.className = 'device-output-pin-badge';
+  pinBadge.textContent = '📌';
+  pinBadge.title = 'Mode pinned: restored when the site changes it';
+
+  // Badge shown while this tab uses its own mode
+  const tabBadge = document.createElement('span');
+  tabBadge.className = 'device-output-tab-badge';
+  tabBadge.textContent = 'TAB';
+  tabBadge.title = 'This tab uses its own device mode';
+
   // Assemble card
   content.appendChild(buttonsContainer);
+  content.appendChild(createMismatchNotice());
+  content.appendChild(createPinStatus());
+  content.appendChild(createTabScopeToggle());
   content.appendChild(settingsPanel);
   content.appendChild(errorContainer);
   card.appendChild(toggle);
   card.appendChild(settingsBtn);
+  card.appendChild(tabBadge);
+  card.appendChild(mismatchBadge);
+  card.appendChild(pinBadge);
   card.appendChild(content);
 
   return card;
@@ -78,19 +187,19 @@ function createCard() {
 /**
  * Create a device button element
  */
-function createDeviceButton(deviceType, config) {
+function createDeviceButton(mode) {
   const button = document.createElement('button');
   button.className = 'device-output-button';
-  button.dataset.deviceType = deviceType;
-  button.setAttribute('aria-label', `Switch to ${config.label} mode`);
+  button.dataset.deviceType = mode.id;
+  button.setAttribute('aria-label', `Switch to ${mode.label} mode`);
 
   const emoji = document.createElement('span');
   emoji.className = 'emoji';
-  emoji.textContent = config.emoji;
+  emoji.textContent = mode.emoji;
 
   const label = document.createElement('span');
   label.className = 'label';
-  label.textContent = config.label;
+  label.textContent = mode.label;
 
   button.appendChild(emoji);
   button.appendChild(label);
@@ -98,6 +207,156 @@ function createDeviceButton(deviceType, config) {
   return button;
 }
 
+/**
+ * Create the button that removes the device override
+ * Shown as active while no mode is set, i.e. the site serves its own default
+ */
+function createDefaultButton() {
+  const button = document.createElement('button');
+  button.className = 'device-output-button device-output-default-button';
+  button.id = 'device-output-default-button';
+  button.title = 'No override: remove the device cookies and let the site decide';
+  button.setAttribute('aria-label', 'Reset to the site default');
+  button.onclick = () => dispatchCardEvent('resetDeviceMode');
+
+  const emoji = document.createElement('span');
+  emoji.className = 'emoji';
+  emoji.textContent = '↺';
+
+  const label = document.createElement('span');
+  label.className = 'label';
+  label.textContent = 'Default';
+
+  button.appendChild(emoji);
+  button.appendChild(label);
+
+  return button;
+}
+
+/**
+ * Create the notice shown when the site reset or ignored the requested mode
+ */
+function createMismatchNotice() {
+  const notice = document.createElement('div');
+  notice.className = 'device-output-mismatch';
+
+  const text = document.createElement('span');
+  text.id = 'device-output-mismatch-text';
+
+  const reapply = document.createElement('button');
+  reapply.className = 'device-output-mismatch-btn';
+  reapply.textContent = 'Re-apply';
+  reapply.onclick = () => {
+    dispatchCardEvent('reapplyDeviceMode');
+  };
+
+  notice.appendChild(text);
+  notice.appendChild(reapply);
+
+  return notice;
+}
+
+/**
+ * Show whether the site kept the requested mode
+ * @param {Object|null} mismatch - Mismatch from the background or null
+ * @param {Object[]} modes - Device modes, for the labels
+ */
+function updateModeMismatchDisplay(mismatch, modes) {
+  const card = getCardElement('device-output-switcher');
+  const text = getCardElement('device-output-mismatch-text');
+  const badge = getCardElement('device-output-mismatch-badge');
+
+  if (card) {
+    card.classList.toggle('mode-mismatch', Boolean(mismatch));
+  }
+  if (!mismatch || !text || !badge) {
+    return;
+  }
+
+  const label = (id) => {
+    const mode = modes.find((m) => m.id === id);
+    return mode ? `${mode.emoji} ${mode.label}` : id;
+  };
+
+  text.textContent = mismatch.actual
+    ? `Site switched to ${label(mismatch.actual)} instead of ${label(mismatch.expected)}`
+    : `Site did not keep ${label(mismatch.expected)}`;
+  text.title = mismatch.reason;
+  badge.title = `${mismatch.reason}. Open the card to re-apply ${label(mismatch.expected)}`;
+}
+
+/**
+ * Create the line showing that the mode is pinned and how often it was restored
+ */
+function createPinStatus() {
+  const status = document.createElement('div');
+  status.className = 'device-output-pin';
+  status.id = 'device-output-pin-status';
+  status.textContent = '📌 Mode pinned';
+
+  return status;
+}
+
+/**
+ * Show the pin's restores of this browser session
+ * @param {Object[]} entries - Pin log of the site, oldest first
+ */
+function updatePinLogDisplay(entries) {
+  const status = getCardElement('device-output-pin-status');
+  if (!status) {
+    return;
+  }
+
+  const last = entries[entries.length - 1];
+  const restores = entries.filter((entry) => !entry.paused).length;
+
+  if (last && last.paused) {
+    status.textContent = `📌 Pin paused: the site keeps changing ${last.name}`;
+  } else {
+    status.textContent = restores > 0 ? `📌 Mode pinned · restored ${restores}×` : '📌 Mode pinned';
+  }
+
+  status.title = last
+    ? `Last at ${new Date(last.at).toLocaleTimeString()}: the site ${last.value === null ? `removed ${last.name}` : `set ${last.name}=${last.value}`}`
+    : 'Restored when the site changes the mode\'s cookies';
+}
+
+/**
+ * Create the "This tab only" checkbox
+ */
+function createTabScopeToggle() {
+  const label = document.createElement('label');
+  label.className = 'device-output-tab-scope';
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.id = 'device-output-tab-scope';
+  checkbox.onchange = () => {
+    dispatchCardEvent('setTabScope', { enabled: checkbox.checked });
+  };
+
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode('This tab only'));
+
+  return label;
+}
+
+/**
+ * Show whether this tab uses a tab-scoped override
+ * @param {Object|null} override - Tab override or null
+ */
+function updateTabScopeDisplay(override) {
+  const card = getCardElement('device-output-switcher');
+  const checkbox = getCardElement('device-output-tab-scope');
+
+  if (card) {
+    card.classList.toggle('tab-scoped', Boolean(override));
+  }
+  if (checkbox) {
+    checkbox.checked = Boolean(override);
+  }
+}
+
 /**
  * Create the settings panel
  */
@@ -110,7 +369,8 @@ function createSettingsPanel() {
   const input = document.createElement('input');
   input.className = 'device-output-settings-input';
   input.type = 'text';
-  input.placeholder = 'example.com';
+  input.placeholder = 'example.com or *.example.com';
+  input.title = 'Domain, wildcard (*.example.com, shop-*.example.com), host:port, IP, or !rule to exclude';
   input.id = 'device-output-settings-input';
 
   // Actions container
@@ -132,14 +392,15 @@ function createSettingsPanel() {
   actions.appendChild(addBtn);
   actions.appendChild(cancelBtn);
 
-  // Whitelist display
+  // Domain list display (allowlist or blocklist, depending on the activation mode)
   const whitelist = document.createElement('div');
   whitelist.className = 'device-output-whitelist';
   whitelist.id = 'device-output-whitelist';
 
   const whitelistLabel = document.createElement('div');
   whitelistLabel.className = 'device-output-whitelist-label';
-  whitelistLabel.textContent = 'Whitelisted domains:';
+  whitelistLabel.id = 'device-output-whitelist-label';
+  whitelistLabel.textContent = DOMAIN_LIST_LABELS.allowlist;
 
   const whitelistDomains = document.createElement('div');
   whitelistDomains.className = 'device-output-whitelist-domains';
@@ -151,39 +412,779 @@ function createSettingsPanel() {
   panel.appendChild(input);
   panel.appendChild(actions);
   panel.appendChild(whitelist);
+  panel.appendChild(createSiteSettingsSection());
+  panel.appendChild(createCookieInspector());
+  panel.appendChild(createModesSection());
 
   return panel;
 }
 
+/**
+ * Create the per-site settings section shown in the settings panel
+ */
+function createSiteSettingsSection() {
+  const section = document.createElement('div');
+  section.className = 'device-output-site-settings';
+
+  const label = document.createElement('div');
+  label.className = 'device-output-whitelist-label';
+  label.textContent = `Settings for ${window.location.hostname}:`;
+
+  // Apply strategy select
+  const strategyLabel = document.createElement('label');
+  strategyLabel.className = 'device-output-site-setting';
+  strategyLabel.textContent = 'Apply change';
+
+  const strategySelect = document.createElement('select');
+  strategySelect.className = 'device-output-settings-input';
+  strategySelect.id = 'device-output-apply-strategy';
+  strategySelect.title = 'Soft refresh is for server-rendered pages without scripts, others are reloaded. Single-page apps should use the page event';
+  Object.entries(APPLY_STRATEGY_LABELS).forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    strategySelect.appendChild(option);
+  });
+  strategySelect.onchange = () => dispatchSiteSettingsEvent({ applyStrategy: strategySelect.value });
+
+  strategyLabel.appendChild(strategySelect);
+
+  // Switching method checkboxes
+  const methodsLabel = document.createElement('div');
+  methodsLabel.className = 'device-output-site-setting';
+  methodsLabel.textContent = 'Switch via';
+
+  const methods = document.createElement('div');
+  methods.className = 'device-output-site-methods';
+  Object.entries(SWITCH_METHOD_LABELS).forEach(([method, text]) => {
+    const methodLabel = document.createElement('label');
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = method;
+    checkbox.id = `device-output-method-${method}`;
+    checkbox.onchange = () => {
+      const checked = Array.from(methods.querySelectorAll('input:checked'), (input) => input.value);
+      dispatchSiteSettingsEvent({ switchMethods: checked });
+    };
+
+    methodLabel.appendChild(checkbox);
+    methodLabel.appendChild(document.createTextNode(text));
+    methods.appendChild(methodLabel);
+  });
+  methodsLabel.appendChild(methods);
+
+  // Header name used by the header method
+  const headerLabel = document.createElement('label');
+  headerLabel.className = 'device-output-site-setting';
+  headerLabel.textContent = 'Header name';
+
+  const headerInput = document.createElement('input');
+  headerInput.className = 'device-output-settings-input';
+  headerInput.type = 'text';
+  headerInput.placeholder = 'X-Device-Output';
+  headerInput.id = 'device-output-header-name';
+  headerInput.onchange = () => dispatchSiteSettingsEvent({ headerName: headerInput.value.trim() });
+
+  headerLabel.appendChild(headerInput);
+
+  // Parameter name and values used by the URL parameter method
+  const paramLabel = document.createElement('label');
+  paramLabel.className = 'device-output-site-setting';
+  paramLabel.textContent = 'URL parameter';
+
+  const paramInput = document.createElement('input');
+  paramInput.className = 'device-output-settings-input';
+  paramInput.type = 'text';
+  paramInput.placeholder = 'device';
+  paramInput.id = 'device-output-url-param';
+  paramInput.onchange = () => dispatchSiteSettingsEvent({ urlParam: paramInput.value.trim() });
+
+  paramLabel.appendChild(paramInput);
+
+  const paramValuesLabel = document.createElement('label');
+  paramValuesLabel.className = 'device-output-site-setting';
+  paramValuesLabel.textContent = 'Parameter values (optional)';
+
+  const paramValuesInput = document.createElement('input');
+  paramValuesInput.className = 'device-output-settings-input';
+  paramValuesInput.type = 'text';
+  paramValuesInput.placeholder = 'mobile=1, desktop=0';
+  paramValuesInput.id = 'device-output-url-param-values';
+  paramValuesInput.onchange = () => {
+    dispatchSiteSettingsEvent({ urlParamValues: parseParamValues(paramValuesInput.value) });
+  };
+
+  paramValuesLabel.appendChild(paramValuesInput);
+
+  // Pin mode, restores the cookies when the site changes them
+  const pinLabel = document.createElement('label');
+  pinLabel.className = 'device-output-tab-scope';
+
+  const pinCheckbox = document.createElement('input');
+  pinCheckbox.type = 'checkbox';
+  pinCheckbox.id = 'device-output-pin-mode';
+  pinCheckbox.onchange = () => dispatchSiteSettingsEvent({ pinMode: pinCheckbox.checked });
+
+  pinLabel.appendChild(pinCheckbox);
+  pinLabel.appendChild(document.createTextNode('Pin mode (undo cookie changes by the site)'));
+
+  section.appendChild(label);
+  section.appendChild(strategyLabel);
+  section.appendChild(methodsLabel);
+  section.appendChild(headerLabel);
+  section.appendChild(paramLabel);
+  section.appendChild(paramValuesLabel);
+  section.appendChild(pinLabel);
+  section.appendChild(createCookieAttributesSection());
+
+  return section;
+}
+
+/**
+ * Create the collapsible cookie attributes section of the site settings
+ * Lists the device cookies as stored whenever it is opened
+ */
+function createCookieAttributesSection() {
+  const section = document.createElement('details');
+  section.className = 'device-output-cookie-attributes';
+  section.id = 'device-output-cookie-attributes';
+  section.ontoggle = () => {
+    if (section.open) {
+      dispatchCardEvent('showCookieDetails');
+    }
+  };
+
+  const summary = document.createElement('summary');
+  summary.className = 'device-output-site-setting';
+  summary.textContent = 'Cookie attributes';
+
+  const dispatchAttribute = (changes) => dispatchSiteSettingsEvent({ cookieAttributes: changes });
+
+  // Shared with subdomains when set to a parent domain
+  const domainLabel = document.createElement('label');
+  domainLabel.className = 'device-output-site-setting';
+  domainLabel.textContent = 'Domain (empty for this host)';
+
+  const domainInput = document.createElement('input');
+  domainInput.className = 'device-output-settings-input';
+  domainInput.type = 'text';
+  domainInput.placeholder = window.location.hostname;
+  domainInput.id = 'device-output-cookie-domain';
+  domainInput.onchange = () => dispatchAttribute({ domain: domainInput.value.trim() });
+
+  domainLabel.appendChild(domainInput);
+
+  const pathLabel = document.createElement('label');
+  pathLabel.className = 'device-output-site-setting';
+  pathLabel.textContent = 'Path';
+
+  const pathInput = document.createElement('input');
+  pathInput.className = 'device-output-settings-input';
+  pathInput.type = 'text';
+  pathInput.placeholder = '/';
+  pathInput.id = 'device-output-cookie-path';
+  pathInput.onchange = () => dispatchAttribute({ path: pathInput.value.trim() || '/' });
+
+  pathLabel.appendChild(pathInput);
+
+  // Lifetime in days here, stored in seconds
+  const lifetimeLabel = document.createElement('label');
+  lifetimeLabel.className = 'device-output-site-setting';
+  lifetimeLabel.textContent = 'Lifetime in days (0 = session)';
+
+  const lifetimeInput = document.createElement('input');
+  lifetimeInput.className = 'device-output-settings-input';
+  lifetimeInput.type = 'number';
+  lifetimeInput.min = '0';
+  lifetimeInput.max = '400';
+  lifetimeInput.step = 'any';
+  lifetimeInput.id = 'device-output-cookie-lifetime';
+  lifetimeInput.onchange = () => {
+    dispatchAttribute({ maxAge: Math.round(Number(lifetimeInput.value) * SECONDS_PER_DAY) });
+  };
+
+  lifetimeLabel.appendChild(lifetimeInput);
+
+  const sameSiteLabel = document.createElement('label');
+  sameSiteLabel.className = 'device-output-site-setting';
+  sameSiteLabel.textContent = 'SameSite';
+
+  const sameSiteSelect = document.createElement('select');
+  sameSiteSelect.className = 'device-output-settings-input';
+  sameSiteSelect.id = 'device-output-cookie-samesite';
+  Object.entries(SAME_SITE_LABELS).forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    sameSiteSelect.appendChild(option);
+  });
+  sameSiteSelect.onchange = () => dispatchAttribute({ sameSite: sameSiteSelect.value });
+
+  sameSiteLabel.appendChild(sameSiteSelect);
+
+  const partitionedLabel = document.createElement('label');
+  partitionedLabel.className = 'device-output-tab-scope';
+
+  const partitionedCheckbox = document.createElement('input');
+  partitionedCheckbox.type = 'checkbox';
+  partitionedCheckbox.id = 'device-output-cookie-partitioned';
+  partitionedCheckbox.onchange = () => dispatchAttribute({ partitioned: partitionedCheckbox.checked });
+
+  partitionedLabel.appendChild(partitionedCheckbox);
+  partitionedLabel.appendChild(document.createTextNode('Partitioned (CHIPS, HTTPS only)'));
+
+  // Device cookies as the browser stored them
+  const details = document.createElement('div');
+  details.className = 'device-output-cookie-details';
+  details.id = 'device-output-cookie-details';
+
+  section.appendChild(summary);
+  section.appendChild(domainLabel);
+  section.appendChild(pathLabel);
+  section.appendChild(lifetimeLabel);
+  section.appendChild(sameSiteLabel);
+  section.appendChild(partitionedLabel);
+  section.appendChild(details);
+
+  return section;
+}
+
+/**
+ * Check whether the cookie details view is open, so it is only fetched when seen
+ * @returns {boolean}
+ */
+function isCookieDetailsOpen() {
+  const section = getCardElement('device-output-cookie-attributes');
+  return Boolean(section && section.open);
+}
+
+/**
+ * List the attributes of a stored cookie the way they would be sent in Set-Cookie
+ * @param {Object} cookie - Cookie from the cookies API
+ * @returns {string[]} e.g. ["Domain=.example.com", "Path=/", "Session", "SameSite=Lax", "Secure"]
+ */
+function formatCookieAttributes(cookie) {
+  const parts = [];
+
+  parts.push(cookie.hostOnly ? `Host ${cookie.domain}` : `Domain=${cookie.domain}`);
+  parts.push(`Path=${cookie.path}`);
+  parts.push(cookie.session ? 'Session' : `Expires=${new Date(cookie.expirationDate * 1000).toLocaleString()}`);
+
+  if (COOKIE_API_SAME_SITE_LABELS[cookie.sameSite]) {
+    parts.push(`SameSite=${COOKIE_API_SAME_SITE_LABELS[cookie.sameSite]}`);
+  }
+  if (cookie.secure) {
+    parts.push('Secure');
+  }
+  if (cookie.httpOnly) {
+    parts.push('HttpOnly');
+  }
+  if (cookie.partitionKey) {
+    parts.push(`Partitioned (${cookie.partitionKey.topLevelSite})`);
+  }
+
+  return parts;
+}
+
+/**
+ * Describe a stored cookie the way it would be sent in Set-Cookie
+ * @param {Object} cookie - Cookie from the cookies API
+ * @returns {string} e.g. "device=mobile; Domain=.example.com; Path=/; Session; SameSite=Lax; Secure"
+ */
+function formatCookie(cookie) {
+  return [`${cookie.name}=${cookie.value}`, ...formatCookieAttributes(cookie)].join('; ');
+}
+
+/**
+ * Create the cookie inspector, listing every cookie the page receives
+ * Loads the cookies whenever it is opened or refreshed
+ */
+function createCookieInspector() {
+  const section = document.createElement('details');
+  section.className = 'device-output-inspector';
+  section.id = 'device-output-inspector';
+  section.ontoggle = () => {
+    if (section.open) {
+      dispatchCardEvent('showCookieInspector');
+    }
+  };
+
+  const summary = document.createElement('summary');
+  summary.className = 'device-output-whitelist-label';
+  summary.textContent = 'Cookie inspector';
+
+  const controls = document.createElement('div');
+  controls.className = 'device-output-inspector-controls';
+
+  const filterInput = document.createElement('input');
+  filterInput.className = 'device-output-settings-input';
+  filterInput.type = 'search';
+  filterInput.placeholder = 'Filter by name, value or domain';
+  filterInput.id = 'device-output-inspector-filter';
+  filterInput.oninput = () => renderInspectorRows();
+
+  const refreshBtn = document.createElement('button');
+  refreshBtn.className = 'device-output-whitelist-domain-remove';
+  refreshBtn.textContent = '↻';
+  refreshBtn.title = 'Reload cookies';
+  refreshBtn.setAttribute('aria-label', 'Reload cookies');
+  refreshBtn.onclick = () => dispatchCardEvent('showCookieInspector');
+
+  controls.appendChild(filterInput);
+  controls.appendChild(refreshBtn);
+
+  const deviceOnlyLabel = document.createElement('label');
+  deviceOnlyLabel.className = 'device-output-tab-scope';
+
+  const deviceOnlyCheckbox = document.createElement('input');
+  deviceOnlyCheckbox.type = 'checkbox';
+  deviceOnlyCheckbox.id = 'device-output-inspector-device-only';
+  deviceOnlyCheckbox.onchange = () => renderInspectorRows();
+
+  deviceOnlyLabel.appendChild(deviceOnlyCheckbox);
+  deviceOnlyLabel.appendChild(document.createTextNode('Device cookies only'));
+
+  const list = document.createElement('div');
+  list.className = 'device-output-inspector-list';
+  list.id = 'device-output-inspector-list';
+
+  section.appendChild(summary);
+  section.appendChild(controls);
+  section.appendChild(deviceOnlyLabel);
+  section.appendChild(list);
+
+  return section;
+}
+
+/**
+ * Check whether the cookie inspector is open, so it is only loaded when seen
+ * @returns {boolean}
+ */
+function isCookieInspectorOpen() {
+  const section = getCardElement('device-output-inspector');
+  return Boolean(section && section.open);
+}
+
+/**
+ * Show the cookies of the page in the inspector
+ * @param {Object[]} cookies - Cookies from the cookies API
+ * @param {string[]} deviceNames - Names of the site's device cookies (cookie profile)
+ */
+function updateCookieInspectorDisplay(cookies, deviceNames) {
+  // Device cookies first, then by name
+  inspectorCookies = [...cookies].sort((a, b) => (
+    Number(deviceNames.includes(b.name)) - Number(deviceNames.includes(a.name)) || a.name.localeCompare(b.name)
+  ));
+  inspectorDeviceNames = deviceNames;
+  renderInspectorRows();
+}
+
+/**
+ * Render the inspector rows that match the filter
+ */
+function renderInspectorRows() {
+  const list = getCardElement('device-output-inspector-list');
+  if (!list) return;
+
+  const filter = getCardElement('device-output-inspector-filter').value.trim().toLowerCase();
+  const deviceOnly = getCardElement('device-output-inspector-device-only').checked;
+
+  const visible = inspectorCookies.filter((cookie) => {
+    if (deviceOnly && !inspectorDeviceNames.includes(cookie.name)) {
+      return false;
+    }
+    return !filter || [cookie.name, cookie.value, cookie.domain].some((text) => text.toLowerCase().includes(filter));
+  });
+
+  list.replaceChildren();
+
+  if (visible.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'device-output-inspector-empty';
+    empty.textContent = inspectorCookies.length === 0 ? 'No cookies for this page' : 'No matching cookies';
+    list.appendChild(empty);
+    return;
+  }
+
+  visible.forEach((cookie) => list.appendChild(createInspectorRow(cookie, inspectorDeviceNames.includes(cookie.name))));
+}
+
+/**
+ * Create an inspector row for a cookie
+ * Device cookies are highlighted and can be edited or deleted in place
+ * @param {Object} cookie - Cookie from the cookies API
+ * @param {boolean} isDeviceCookie - Whether the cookie is part of the site's cookie profile
+ */
+function createInspectorRow(cookie, isDeviceCookie) {
+  const row = document.createElement('div');
+  row.className = 'device-output-inspector-row';
+  row.classList.toggle('device-cookie', isDeviceCookie);
+
+  const header = document.createElement('div');
+  header.className = 'device-output-inspector-header';
+
+  const name = document.createElement('span');
+  name.className = 'device-output-inspector-name';
+  name.textContent = cookie.name;
+
+  const value = document.createElement('span');
+  value.className = 'device-output-inspector-value';
+  value.textContent = cookie.value;
+  value.title = cookie.value;
+
+  header.appendChild(name);
+  header.appendChild(value);
+
+  if (isDeviceCookie) {
+    const editInput = document.createElement('input');
+    editInput.className = 'device-output-settings-input device-output-inspector-edit';
+    editInput.type = 'text';
+    editInput.value = cookie.value;
+    editInput.setAttribute('aria-label', `Value of ${cookie.name}`);
+
+    const save = () => dispatchCardEvent('editDeviceCookie', { name: cookie.name, value: editInput.value.trim() });
+
+    editInput.onkeydown = (e) => {
+      if (e.key === 'Enter') save();
+      if (e.key === 'Escape') row.classList.remove('editing');
+    };
+
+    header.appendChild(editInput);
+    header.appendChild(createModeAction('✎', `Edit ${cookie.name}`, false, () => {
+      if (row.classList.toggle('editing')) {
+        editInput.focus();
+      } else {
+        save();
+      }
+    }));
+    header.appendChild(createModeAction('×', `Delete ${cookie.name}`, false, () => {
+      dispatchCardEvent('deleteDeviceCookie', { name: cookie.name });
+    }));
+  }
+
+  const meta = document.createElement('div');
+  meta.className = 'device-output-inspector-meta';
+  meta.textContent = formatCookieAttributes(cookie).join(' · ');
+
+  row.appendChild(header);
+  row.appendChild(meta);
+
+  return row;
+}
+
+/**
+ * Show the device cookies of the site with their attributes
+ * @param {Object} details - { error, cookies: [{ name, cookie }] } from the background
+ */
+function updateCookieDetailsDisplay(details) {
+  const container = getCardElement('device-output-cookie-details');
+  if (!container) {
+    return;
+  }
+
+  container.replaceChildren();
+
+  if (details.error) {
+    const error = document.createElement('div');
+    error.className = 'device-output-cookie-details-error';
+    error.textContent = details.error;
+    container.appendChild(error);
+  }
+
+  details.cookies.forEach(({ name, cookie }) => {
+    const line = document.createElement('div');
+    line.className = 'device-output-cookie-details-line';
+    line.textContent = cookie ? formatCookie(cookie) : `${name}: not set`;
+    container.appendChild(line);
+  });
+}
+
+/**
+ * Update the per-site settings controls
+ * @param {Object} settings - Effective settings for the current domain
+ */
+function updateSiteSettingsDisplay(settings) {
+  const strategySelect = getCardElement('device-output-apply-strategy');
+  if (strategySelect) {
+    strategySelect.value = settings.applyStrategy;
+  }
+
+  Object.keys(SWITCH_METHOD_LABELS).forEach((method) => {
+    const checkbox = getCardElement(`device-output-method-${method}`);
+    if (checkbox) {
+      checkbox.checked = settings.switchMethods.includes(method);
+    }
+  });
+
+  const headerInput = getCardElement('device-output-header-name');
+  if (headerInput) {
+    headerInput.value = settings.headerName;
+  }
+
+  const paramInput = getCardElement('device-output-url-param');
+  if (paramInput) {
+    paramInput.value = settings.urlParam;
+  }
+
+  const paramValuesInput = getCardElement('device-output-url-param-values');
+  if (paramValuesInput) {
+    paramValuesInput.value = Object.entries(settings.urlParamValues)
+      .map(([modeId, value]) => `${modeId}=${value}`)
+      .join(', ');
+  }
+
+  const pinCheckbox = getCardElement('device-output-pin-mode');
+  if (pinCheckbox) {
+    pinCheckbox.checked = settings.pinMode;
+  }
+
+  const attributes = settings.cookieAttributes;
+  const cookieInputs = {
+    'device-output-cookie-domain': attributes.domain,
+    'device-output-cookie-path': attributes.path,
+    'device-output-cookie-lifetime': String(Math.round((attributes.maxAge / SECONDS_PER_DAY) * 100) / 100),
+    'device-output-cookie-samesite': attributes.sameSite,
+  };
+  Object.entries(cookieInputs).forEach(([id, value]) => {
+    const input = getCardElement(id);
+    if (input) {
+      input.value = value;
+    }
+  });
+
+  const partitionedCheckbox = getCardElement('device-output-cookie-partitioned');
+  if (partitionedCheckbox) {
+    partitionedCheckbox.checked = attributes.partitioned;
+  }
+
+  // Pinning only applies to cookies
+  const card = getCardElement('device-output-switcher');
+  if (card) {
+    card.classList.toggle('mode-pinned', settings.pinMode && settings.switchMethods.includes('cookie'));
+  }
+}
+
+/**
+ * Parse "mode=value" pairs separated by commas
+ * @param {string} text - e.g. "mobile=1, desktop=0"
+ * @returns {Object<string, string>} Values keyed by mode id
+ */
+function parseParamValues(text) {
+  const values = {};
+
+  text.split(',').forEach((pair) => {
+    const [modeId, ...rest] = pair.split('=');
+    if (modeId.trim() && rest.length > 0) {
+      values[modeId.trim()] = rest.join('=').trim();
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Create the device modes editor shown in the settings panel
+ */
+function createModesSection() {
+  const section = document.createElement('div');
+  section.className = 'device-output-modes';
+
+  const label = document.createElement('div');
+  label.className = 'device-output-whitelist-label';
+  label.textContent = 'Device modes:';
+
+  const list = document.createElement('div');
+  list.className = 'device-output-modes-list';
+  list.id = 'device-output-modes-list';
+
+  // Form used for both adding and editing a mode
+  const form = document.createElement('div');
+  form.className = 'device-output-modes-form';
+  form.id = 'device-output-modes-form';
+
+  const emojiInput = document.createElement('input');
+  emojiInput.className = 'device-output-settings-input emoji';
+  emojiInput.type = 'text';
+  emojiInput.placeholder = '📟';
+  emojiInput.id = 'device-output-mode-emoji';
+
+  const labelInput = document.createElement('input');
+  labelInput.className = 'device-output-settings-input';
+  labelInput.type = 'text';
+  labelInput.placeholder = 'Label';
+  labelInput.id = 'device-output-mode-label';
+
+  const valueInput = document.createElement('input');
+  valueInput.className = 'device-output-settings-input';
+  valueInput.type = 'text';
+  valueInput.placeholder = 'Cookie value';
+  valueInput.id = 'device-output-mode-value';
+
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'device-output-settings-btn-action primary';
+  saveBtn.textContent = 'Add mode';
+  saveBtn.id = 'device-output-mode-save';
+  saveBtn.onclick = () => {
+    dispatchModeEvent('saveDeviceMode', {
+      id: form.dataset.editing || null,
+      emoji: emojiInput.value.trim(),
+      label: labelInput.value.trim(),
+      value: valueInput.value.trim(),
+    });
+  };
+
+  form.appendChild(emojiInput);
+  form.appendChild(labelInput);
+  form.appendChild(valueInput);
+  form.appendChild(saveBtn);
+
+  section.appendChild(label);
+  section.appendChild(list);
+  section.appendChild(form);
+
+  return section;
+}
+
+/**
+ * Update the device modes editor list
+ * @param {Object[]} modes - Ordered device modes
+ */
+function updateModesDisplay(modes) {
+  const list = getCardElement('device-output-modes-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  modes.forEach((mode, index) => {
+    const row = document.createElement('div');
+    row.className = 'device-output-mode-row';
+
+    const name = document.createElement('span');
+    name.className = 'device-output-mode-name';
+    name.textContent = `${mode.emoji} ${mode.label}`;
+
+    const value = document.createElement('span');
+    value.className = 'device-output-mode-value';
+    value.textContent = mode.value;
+
+    row.appendChild(name);
+    row.appendChild(value);
+    row.appendChild(createModeAction('↑', 'Move up', index === 0, () => dispatchModeEvent('moveDeviceMode', { id: mode.id, offset: -1 })));
+    row.appendChild(createModeAction('↓', 'Move down', index === modes.length - 1, () => dispatchModeEvent('moveDeviceMode', { id: mode.id, offset: 1 })));
+    row.appendChild(createModeAction('✎', 'Edit', false, () => editMode(mode)));
+    row.appendChild(createModeAction('×', 'Delete', modes.length === 1, () => dispatchModeEvent('removeDeviceMode', { id: mode.id })));
+
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Create a small action button for a mode row
+ */
+function createModeAction(text, label, disabled, onClick) {
+  const button = document.createElement('button');
+  button.className = 'device-output-whitelist-domain-remove';
+  button.textContent = text;
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.disabled = disabled;
+  button.onclick = onClick;
+  return button;
+}
+
+/**
+ * Load a mode into the form for editing
+ */
+function editMode(mode) {
+  const form = getCardElement('device-output-modes-form');
+  if (!form) return;
+
+  form.dataset.editing = mode.id;
+  getCardElement('device-output-mode-emoji').value = mode.emoji;
+  getCardElement('device-output-mode-label').value = mode.label;
+  getCardElement('device-output-mode-value').value = mode.value;
+  getCardElement('device-output-mode-save').textContent = 'Save mode';
+}
+
+/**
+ * Clear the mode form after a successful save
+ */
+function resetModeForm() {
+  const form = getCardElement('device-output-modes-form');
+  if (!form) return;
+
+  delete form.dataset.editing;
+  form.querySelectorAll('input').forEach((input) => {
+    input.value = '';
+  });
+  getCardElement('device-output-mode-save').textContent = 'Add mode';
+}
+
+/**
+ * Replace the device buttons with buttons for the given modes
+ * Handlers must be attached again with attachButtonHandler
+ * @param {Object[]} modes - Ordered device modes
+ */
+function renderDeviceButtons(modes) {
+  const container = getCardElement('device-output-buttons');
+  if (!container) return;
+
+  container.innerHTML = '';
+  modes.forEach((mode) => {
+    container.appendChild(createDeviceButton(mode));
+  });
+  container.appendChild(createDefaultButton());
+}
+
 /**
  * Toggle settings panel
  */
 function toggleSettings() {
-  const panel = document.getElementById('device-output-settings');
+  const panel = getCardElement('device-output-settings');
   if (panel) {
     panel.classList.toggle('open');
   }
 }
 
 /**
- * Update the whitelist display
- * @param {string[]} domains - Array of whitelisted domains
+ * Update the domain list display
+ * In manual activation mode there is no list, so the list and the add field are hidden
+ * @param {string} list - Activation mode whose list is shown (allowlist, blocklist or manual)
+ * @param {string[]} domains - Rules of the list
+ * @param {string[]} [managed] - Rules set by enterprise policy, shown first and read-only
  */
-function updateWhitelistDisplay(domains) {
-  const whitelistContainer = document.getElementById('device-output-whitelist');
-  const whitelistDomains = document.getElementById('device-output-whitelist-domains');
+function updateDomainListDisplay(list, domains, managed = []) {
+  const panel = getCardElement('device-output-settings');
+  const whitelistContainer = getCardElement('device-output-whitelist');
+  const whitelistLabel = getCardElement('device-output-whitelist-label');
+  const whitelistDomains = getCardElement('device-output-whitelist-domains');
 
-  if (!whitelistContainer || !whitelistDomains) return;
+  if (!panel || !whitelistContainer || !whitelistDomains) return;
+
+  const hasList = list in DOMAIN_LIST_LABELS;
+  panel.classList.toggle('no-domain-list', !hasList);
+  if (!hasList) return;
+
+  whitelistLabel.textContent = DOMAIN_LIST_LABELS[list];
 
   // Clear existing domains
   whitelistDomains.innerHTML = '';
 
-  if (domains.length === 0) {
+  if (domains.length === 0 && managed.length === 0) {
     whitelistContainer.classList.remove('has-domains');
   } else {
     whitelistContainer.classList.add('has-domains');
 
-    domains.forEach((domain) => {
+    managed.forEach((domain) => {
+      const domainEl = document.createElement('div');
+      domainEl.className = 'device-output-whitelist-domain managed';
+      domainEl.textContent = `🔒 ${domain}`;
+      domainEl.title = 'Set by your administrator';
+      whitelistDomains.appendChild(domainEl);
+    });
+
+    domains.filter((domain) => !managed.includes(domain)).forEach((domain) => {
       const domainEl = document.createElement('div');
       domainEl.className = 'device-output-whitelist-domain';
       domainEl.textContent = domain;
@@ -191,7 +1192,7 @@ function updateWhitelistDisplay(domains) {
       const removeBtn = document.createElement('button');
       removeBtn.className = 'device-output-whitelist-domain-remove';
       removeBtn.textContent = '×';
-      removeBtn.onclick = () => dispatchRemoveDomainEvent(domain);
+      removeBtn.onclick = () => dispatchRemoveDomainEvent(list, domain);
 
       domainEl.appendChild(removeBtn);
       whitelistDomains.appendChild(domainEl);
@@ -200,21 +1201,41 @@ function updateWhitelistDisplay(domains) {
 }
 
 /**
- * Add current domain to whitelist
+ * Tell content.js about a user action on the card
+ * @param {string} type - Event name
+ * @param {Object} [detail] - Event payload
  */
-function addCurrentDomainToWhitelist() {
-  const currentDomain = window.location.hostname;
-  addDomainToWhitelist(currentDomain);
+function dispatchCardEvent(type, detail) {
+  cardEvents.dispatchEvent(new CustomEvent(type, { detail }));
 }
 
 /**
- * Dispatch event to remove a domain from the whitelist
+ * Dispatch event to remove a domain from a domain list
  * This function dispatches an event that is handled by content.js
+ * @param {string} list - List to remove from (allowlist or blocklist)
  * @param {string} domain - Domain to remove
  */
-function dispatchRemoveDomainEvent(domain) {
-  const event = new CustomEvent('removeDomainFromWhitelist', { detail: domain });
-  document.dispatchEvent(event);
+function dispatchRemoveDomainEvent(list, domain) {
+  dispatchCardEvent('removeDomainFromList', { list, domain });
+}
+
+/**
+ * Dispatch a device mode editor event
+ * Handled by content.js, which updates storage and re-renders the card
+ * @param {string} type - Event name (saveDeviceMode, moveDeviceMode, removeDeviceMode)
+ * @param {Object} detail - Event payload
+ */
+function dispatchModeEvent(type, detail) {
+  dispatchCardEvent(type, detail);
+}
+
+/**
+ * Dispatch an event to change settings for the current site
+ * Handled by content.js, which stores the settings
+ * @param {Object} changes - Settings to change
+ */
+function dispatchSiteSettingsEvent(changes) {
+  dispatchCardEvent('updateDomainSettings', changes);
 }
 
 /**
@@ -226,36 +1247,75 @@ function toggleCard(card) {
 
 /**
  * Show the card on the page
+ * @param {Object[]} modes - Device modes to render buttons for
  */
-function showCard() {
+function showCard(modes) {
   // Remove existing card if present
   hideCard();
 
-  const card = createCard();
-  document.body.appendChild(card);
+  const card = createCard(modes);
+  mountShadowRoot().appendChild(card);
 }
 
 /**
  * Hide/remove the card from the page
  */
 function hideCard() {
-  const existingCard = document.getElementById('device-output-switcher');
+  const existingCard = getCardElement('device-output-switcher');
   if (existingCard) {
     existingCard.remove();
   }
+
+  releaseShadowRoot();
+}
+
+/**
+ * Detach the shadow host from the page once neither card nor toast is shown
+ */
+function releaseShadowRoot() {
+  if (shadowHost && !getCardElement('device-output-switcher') && !getCardElement('device-output-toast')) {
+    shadowHost.remove();
+  }
+}
+
+/**
+ * Show a short confirmation message, independent of the card
+ * Also works when the in-page card is turned off
+ * @param {string} message - Text to show
+ */
+function showToast(message) {
+  let toast = getCardElement('device-output-toast');
+
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.className = 'device-output-toast';
+    toast.id = 'device-output-toast';
+    toast.setAttribute('role', 'status');
+    mountShadowRoot().appendChild(toast);
+  }
+
+  toast.textContent = message;
+
+  // Restart the timer when toasts follow each other quickly
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => {
+    toast.remove();
+    releaseShadowRoot();
+  }, TOAST_DURATION_MS);
 }
 
 /**
  * Update the active state of device buttons
+ * @param {string|null} deviceType - Current mode, null when no override is set (Default)
  */
 function updateActiveDevice(deviceType) {
-  const buttons = document.querySelectorAll('.device-output-button');
+  const buttons = queryCardElements('.device-output-button');
   buttons.forEach((button) => {
-    if (button.dataset.deviceType === deviceType) {
-      button.classList.add('active');
-    } else {
-      button.classList.remove('active');
-    }
+    const active = button.id === 'device-output-default-button'
+      ? !deviceType
+      : button.dataset.deviceType === deviceType;
+
+    button.classList.toggle('active', active);
   });
 }
 
@@ -263,7 +1323,7 @@ function updateActiveDevice(deviceType) {
  * Show an error message
  */
 function showError(message) {
-  const errorContainer = document.getElementById('device-output-error');
+  const errorContainer = getCardElement('device-output-error');
   if (errorContainer) {
     errorContainer.textContent = message;
     errorContainer.classList.add('visible');
@@ -279,7 +1339,7 @@ function showError(message) {
  * Hide error message
  */
 function hideError() {
-  const errorContainer = document.getElementById('device-output-error');
+  const errorContainer = getCardElement('device-output-error');
   if (errorContainer) {
     errorContainer.classList.remove('visible');
   }
@@ -289,7 +1349,8 @@ function hideError() {
  * Attach click handler to device buttons
  */
 function attachButtonHandler(handler) {
-  const buttons = document.querySelectorAll('.device-output-button');
+  // The Default button dispatches its own event
+  const buttons = queryCardElements('.device-output-button[data-device-type]');
   buttons.forEach((button) => {
     button.addEventListener('click', () => {
       const deviceType = button.dataset.deviceType;
@@ -298,17 +1359,30 @@ function attachButtonHandler(handler) {
   });
 }
 
-// Export functions
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    showCard,
-    hideCard,
-    updateActiveDevice,
-    showError,
-    hideError,
-    attachButtonHandler,
-    toggleCard,
-    toggleSettings,
-    updateWhitelistDisplay,
-  };
-}
+export {
+  cardEvents,
+  showCard,
+  hideCard,
+  updateActiveDevice,
+  showError,
+  hideError,
+  showToast,
+  attachButtonHandler,
+  toggleCard,
+  toggleSettings,
+  updateDomainListDisplay,
+  getCardHost,
+  getCardElement,
+  updateModesDisplay,
+  updateSiteSettingsDisplay,
+  isCookieDetailsOpen,
+  updateCookieDetailsDisplay,
+  isCookieInspectorOpen,
+  updateCookieInspectorDisplay,
+  updateTabScopeDisplay,
+  updateModeMismatchDisplay,
+  updatePinLogDisplay,
+  renderDeviceButtons,
+  resetModeForm,
+  queryCardElements,
+};
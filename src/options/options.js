@@ -0,0 +1,530 @@
+// Options page - activation, allowlist and blocklist, device modes, site settings, cookie profiles,
+// preferences, configuration import/export and the storage backup
+// Talks to the background script only
+
+import {
+  GET_SETTINGS,
+  GET_COMMANDS,
+  ADD_DOMAIN,
+  REMOVE_DOMAIN,
+  ADD_DEVICE_MODE,
+  UPDATE_DEVICE_MODE,
+  REMOVE_DEVICE_MODE,
+  MOVE_DEVICE_MODE,
+  SET_COOKIE_PROFILE,
+  REMOVE_COOKIE_PROFILE,
+  UPDATE_DOMAIN_SETTINGS,
+  REMOVE_DOMAIN_SETTINGS,
+  UPDATE_PREFERENCES,
+  SET_SYNC_ENABLED,
+  EXPORT_CONFIG,
+  PREVIEW_IMPORT,
+  IMPORT_CONFIG,
+  ROLLBACK_MIGRATION,
+  SECONDS_PER_DAY,
+  APPLY_STRATEGY_LABELS,
+  SWITCH_METHOD_LABELS,
+} from '../shared/constants.js';
+import { callBackground } from '../shared/messaging.js';
+
+(async function initOptions() {
+  const CONFIG_SECTION_LABELS = {
+    allowlist: 'Allowlist',
+    blocklist: 'Blocklist',
+    deviceModes: 'Device modes',
+    cookieProfiles: 'Cookie profiles',
+    domainSettings: 'Site settings',
+    preferences: 'Preferences',
+  };
+
+  const PROFILE_TEMPLATE = {
+    cookies: [
+      { name: 'deviceoutput', priority: 0 },
+      { name: 'devicetype', priority: 1, values: { mobile: 'mobile' } },
+    ],
+  };
+
+  /**
+   * Show an error message
+   */
+  function showError(message) {
+    const error = document.getElementById('options-error');
+    error.textContent = message;
+    error.classList.add('visible');
+  }
+
+  /**
+   * Hide error message
+   */
+  function hideError() {
+    document.getElementById('options-error').classList.remove('visible');
+  }
+
+  /**
+   * Run a settings action in the background and re-render on success
+   */
+  async function runAction(type, payload) {
+    try {
+      const response = await callBackground(type, payload);
+      hideError();
+      await refresh();
+      return response;
+    } catch (error) {
+      console.error(`Failed to run ${type}:`, error);
+      showError(error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Create a list item with a text label and action buttons
+   * @param {string|Node} content - Item label
+   * @param {Array<[string, string, Function]>} actions - [text, title, handler] tuples
+   */
+  function createListItem(content, actions) {
+    const item = document.createElement('li');
+
+    const label = document.createElement('span');
+    label.className = 'options-list-label';
+    if (typeof content === 'string') {
+      label.textContent = content;
+    } else {
+      label.appendChild(content);
+    }
+    item.appendChild(label);
+
+    actions.forEach(([text, title, handler]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = text;
+      button.title = title;
+      button.setAttribute('aria-label', title);
+      button.disabled = !handler;
+      if (handler) button.onclick = handler;
+      item.appendChild(button);
+    });
+
+    return item;
+  }
+
+  /**
+   * Parse "mode=value" pairs separated by commas
+   * @param {string} text - e.g. "mobile=1, desktop=0"
+   * @returns {Object<string, string>} Values keyed by mode id
+   */
+  function parseParamValues(text) {
+    const values = {};
+
+    text.split(',').forEach((pair) => {
+      const [modeId, ...rest] = pair.split('=');
+      if (modeId.trim() && rest.length > 0) {
+        values[modeId.trim()] = rest.join('=').trim();
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Render a domain list (allowlist or blocklist)
+   * The list not used by the current activation mode stays editable but is dimmed,
+   * rules set by enterprise policy come first and cannot be removed
+   */
+  function renderDomainList(name, domains, activationMode, managed) {
+    const list = document.getElementById(`options-${name}`);
+    list.innerHTML = '';
+
+    managed.forEach((domain) => {
+      list.appendChild(createListItem(`🔒 ${domain}`, [
+        ['×', 'Set by your administrator', null],
+      ]));
+    });
+
+    domains.filter((domain) => !managed.includes(domain)).forEach((domain) => {
+      list.appendChild(createListItem(domain, [
+        ['×', 'Remove', () => runAction(REMOVE_DOMAIN, { list: name, domain })],
+      ]));
+    });
+
+    document.getElementById(`options-${name}-section`).classList.toggle('inactive', name !== activationMode);
+  }
+
+  /**
+   * Render the device modes
+   */
+  function renderModes(modes) {
+    const list = document.getElementById('options-modes');
+    list.innerHTML = '';
+
+    modes.forEach((mode, index) => {
+      list.appendChild(createListItem(`${mode.emoji} ${mode.label} — ${mode.value}`, [
+        ['↑', 'Move up', index > 0 && (() => runAction(MOVE_DEVICE_MODE, { id: mode.id, offset: -1 }))],
+        ['↓', 'Move down', index < modes.length - 1 && (() => runAction(MOVE_DEVICE_MODE, { id: mode.id, offset: 1 }))],
+        ['✎', 'Edit', () => editMode(mode)],
+        ['×', 'Delete', modes.length > 1 && (() => runAction(REMOVE_DEVICE_MODE, { id: mode.id }))],
+      ]));
+    });
+  }
+
+  /**
+   * Load a mode into the form for editing
+   */
+  function editMode(mode) {
+    const form = document.getElementById('options-modes-form');
+    form.dataset.editing = mode.id;
+    document.getElementById('options-mode-emoji').value = mode.emoji;
+    document.getElementById('options-mode-label').value = mode.label;
+    document.getElementById('options-mode-value').value = mode.value;
+    document.getElementById('options-mode-user-agent').value = mode.userAgent || '';
+    document.getElementById('options-mode-save').textContent = 'Save mode';
+    document.getElementById('options-mode-cancel').hidden = false;
+  }
+
+  /**
+   * Clear the mode form
+   */
+  function resetModeForm() {
+    const form = document.getElementById('options-modes-form');
+    delete form.dataset.editing;
+    form.reset();
+    document.getElementById('options-mode-save').textContent = 'Add mode';
+    document.getElementById('options-mode-cancel').hidden = true;
+  }
+
+  /**
+   * Summarize the cookie attributes that differ from the defaults
+   * @returns {string} e.g. ", cookies on .example.com, 30 days", empty for the defaults
+   */
+  function describeCookieAttributes(attributes) {
+    const parts = [];
+
+    if (attributes.domain) parts.push(`on .${attributes.domain}`);
+    if (attributes.path !== '/') parts.push(`path ${attributes.path}`);
+    if (attributes.maxAge > 0) parts.push(`${Math.round((attributes.maxAge / SECONDS_PER_DAY) * 100) / 100} days`);
+    if (attributes.sameSite !== 'lax') parts.push(`SameSite=${attributes.sameSite}`);
+    if (attributes.partitioned) parts.push('partitioned');
+
+    return parts.length > 0 ? `, cookies ${parts.join(', ')}` : '';
+  }
+
+  /**
+   * Render the per-domain settings
+   */
+  function renderSiteSettings(domainSettings) {
+    const list = document.getElementById('options-site-settings');
+    list.innerHTML = '';
+
+    Object.entries(domainSettings).forEach(([domain, settings]) => {
+      const methods = settings.switchMethods
+        .map((method) => {
+          if (method === 'header') return `${SWITCH_METHOD_LABELS[method]} ${settings.headerName}`;
+          if (method === 'urlParam') return `?${settings.urlParam}=`;
+          return SWITCH_METHOD_LABELS[method];
+        })
+        .join(' + ');
+
+      const pinned = settings.pinMode ? ', 📌 pinned' : '';
+      const cookies = describeCookieAttributes(settings.cookieAttributes);
+
+      list.appendChild(createListItem(`${domain} — ${APPLY_STRATEGY_LABELS[settings.applyStrategy]}, ${methods}${pinned}${cookies}`, [
+        ['✎', 'Edit', () => {
+          document.getElementById('options-site-domain').value = domain;
+          document.getElementById('options-site-strategy').value = settings.applyStrategy;
+          document.getElementById('options-site-header').value = settings.headerName;
+          document.getElementById('options-site-param').value = settings.urlParam;
+          document.getElementById('options-site-param-values').value = Object.entries(settings.urlParamValues)
+            .map(([modeId, value]) => `${modeId}=${value}`)
+            .join(', ');
+          document.getElementById('options-site-pin').checked = Boolean(settings.pinMode);
+          document.getElementById('options-site-cookie-domain').value = settings.cookieAttributes.domain;
+          document.getElementById('options-site-cookie-path').value = settings.cookieAttributes.path;
+          document.getElementById('options-site-cookie-lifetime').value = settings.cookieAttributes.maxAge / SECONDS_PER_DAY;
+          document.getElementById('options-site-cookie-samesite').value = settings.cookieAttributes.sameSite;
+          document.getElementById('options-site-cookie-partitioned').checked = settings.cookieAttributes.partitioned;
+          document.querySelectorAll('input[name="switchMethods"]').forEach((checkbox) => {
+            checkbox.checked = settings.switchMethods.includes(checkbox.value);
+          });
+        }],
+        ['×', 'Remove', () => runAction(REMOVE_DOMAIN_SETTINGS, { domain })],
+      ]));
+    });
+  }
+
+  /**
+   * Render the cookie profiles
+   */
+  function renderProfiles(cookieProfiles) {
+    const list = document.getElementById('options-profiles');
+    list.innerHTML = '';
+
+    Object.entries(cookieProfiles).forEach(([domain, profile]) => {
+      const names = profile.cookies.map((c) => c.name).join(', ');
+      list.appendChild(createListItem(`${domain} — ${names}`, [
+        ['✎', 'Edit', () => {
+          document.getElementById('options-profile-domain').value = domain;
+          document.getElementById('options-profile-json').value = JSON.stringify(profile, null, 2);
+        }],
+        ['×', 'Remove', () => runAction(REMOVE_COOKIE_PROFILE, { domain })],
+      ]));
+    });
+  }
+
+  /**
+   * Render the keyboard shortcuts and their current bindings
+   */
+  function renderShortcuts(commands) {
+    const list = document.getElementById('options-shortcuts');
+    list.innerHTML = '';
+
+    commands
+      .filter((command) => command.description)
+      .forEach((command) => {
+        const item = createListItem(command.description, []);
+
+        const shortcut = document.createElement('kbd');
+        shortcut.textContent = command.shortcut || 'Not set';
+        item.appendChild(shortcut);
+
+        list.appendChild(item);
+      });
+  }
+
+  /**
+   * Download the current configuration as a JSON file
+   */
+  async function handleExport() {
+    try {
+      const { result } = await callBackground(EXPORT_CONFIG);
+      const blob = new Blob([JSON.stringify(result, null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+
+      link.href = URL.createObjectURL(blob);
+      link.download = `deviceoutput-switcher-${result.exportedAt.slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      hideError();
+    } catch (error) {
+      console.error('Failed to export configuration:', error);
+      showError(`Failed to export: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the chosen file and show what importing it would change
+   */
+  async function handleImportFile(e) {
+    const [selected] = e.target.files;
+    if (!selected) return;
+
+    try {
+      const file = JSON.parse(await selected.text());
+      const { result } = await callBackground(PREVIEW_IMPORT, { file });
+      pendingImport = file;
+      renderImportPreview(result);
+      hideError();
+    } catch (error) {
+      console.error('Failed to read configuration file:', error);
+      showError(`Failed to read ${selected.name}: ${error.message}`);
+      closeImportPreview();
+    }
+  }
+
+  /**
+   * Render the changes an import would make, per section
+   * Removed entries are only removed when replacing
+   */
+  function renderImportPreview(preview) {
+    const list = document.getElementById('options-import-changes');
+    list.innerHTML = '';
+
+    Object.entries(preview.sections).forEach(([section, { added, changed, removed }]) => {
+      const parts = [
+        added.length > 0 && `+ ${added.join(', ')}`,
+        changed.length > 0 && `~ ${changed.join(', ')}`,
+        removed.length > 0 && `− ${removed.join(', ')} (when replacing)`,
+      ].filter(Boolean);
+
+      list.appendChild(createListItem(`${CONFIG_SECTION_LABELS[section]}: ${parts.join('; ') || 'no changes'}`, []));
+    });
+
+    document.getElementById('options-import-preview').hidden = false;
+  }
+
+  /**
+   * Hide the import preview and forget the chosen file
+   */
+  function closeImportPreview() {
+    pendingImport = null;
+    document.getElementById('options-import-file').value = '';
+    document.getElementById('options-import-preview').hidden = true;
+  }
+
+  /**
+   * Show the stored schema version and whether a backup can be restored
+   */
+  function renderStorageInfo(storage) {
+    const version = storage.schemaVersion === null ? storage.currentVersion : storage.schemaVersion;
+    const parts = [
+      version === storage.currentVersion
+        ? `Settings format ${version}.`
+        : `Settings format ${version}, upgraded to ${storage.currentVersion} when the extension is next updated or reloaded.`,
+      storage.backup
+        ? `Backup of format ${storage.backup.schemaVersion} from ${new Date(storage.backup.createdAt).toLocaleString()}.`
+        : 'No backup.',
+    ];
+
+    document.getElementById('options-storage-version').textContent = parts.join(' ');
+    document.getElementById('options-rollback').disabled = !storage.backup;
+  }
+
+  /**
+   * Load all settings and render the page
+   */
+  async function refresh() {
+    const [{ settings }, { commands }] = await Promise.all([
+      callBackground(GET_SETTINGS),
+      callBackground(GET_COMMANDS),
+    ]);
+
+    const activationSelect = document.getElementById('options-activation-mode');
+    activationSelect.value = settings.preferences.activationMode;
+    activationSelect.disabled = Boolean(settings.managed.activationMode);
+    activationSelect.title = settings.managed.activationMode ? 'Set by your administrator' : '';
+
+    document.getElementById('options-show-card').checked = settings.preferences.showCard;
+    document.getElementById('options-sync').checked = settings.syncEnabled;
+    renderDomainList('allowlist', settings.allowlist, settings.preferences.activationMode, settings.managed.allowlist);
+    renderDomainList('blocklist', settings.blocklist, settings.preferences.activationMode, settings.managed.blocklist);
+    renderModes(settings.modes);
+    renderShortcuts(commands);
+    renderSiteSettings(settings.domainSettings);
+    renderProfiles(settings.cookieProfiles);
+    renderStorageInfo(settings.storage);
+  }
+
+  // Apply strategy options
+  const strategySelect = document.getElementById('options-site-strategy');
+  Object.entries(APPLY_STRATEGY_LABELS).forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    strategySelect.appendChild(option);
+  });
+
+  document.getElementById('options-profile-json').value = JSON.stringify(PROFILE_TEMPLATE, null, 2);
+
+  // Parsed file waiting for the user to confirm the import
+  let pendingImport = null;
+
+  // Chrome's own page is the only place shortcuts can be rebound
+  document.getElementById('options-shortcuts-edit').onclick = () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  };
+
+  document.getElementById('options-show-card').onchange = (e) => {
+    runAction(UPDATE_PREFERENCES, { changes: { showCard: e.target.checked } });
+  };
+
+  document.getElementById('options-sync').onchange = (e) => {
+    runAction(SET_SYNC_ENABLED, { enabled: e.target.checked });
+  };
+
+  document.getElementById('options-activation-mode').onchange = (e) => {
+    runAction(UPDATE_PREFERENCES, { changes: { activationMode: e.target.value } });
+  };
+
+  ['allowlist', 'blocklist'].forEach((name) => {
+    document.getElementById(`options-${name}-form`).onsubmit = async (e) => {
+      e.preventDefault();
+      const input = document.getElementById(`options-${name}-input`);
+      if (await runAction(ADD_DOMAIN, { list: name, domain: input.value.trim() })) {
+        input.value = '';
+      }
+    };
+  });
+
+  document.getElementById('options-modes-form').onsubmit = async (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const mode = {
+      emoji: document.getElementById('options-mode-emoji').value.trim(),
+      label: document.getElementById('options-mode-label').value.trim(),
+      value: document.getElementById('options-mode-value').value.trim(),
+      userAgent: document.getElementById('options-mode-user-agent').value.trim(),
+    };
+
+    const response = form.dataset.editing
+      ? await runAction(UPDATE_DEVICE_MODE, { id: form.dataset.editing, changes: mode })
+      : await runAction(ADD_DEVICE_MODE, { mode });
+
+    if (response) {
+      resetModeForm();
+    }
+  };
+  document.getElementById('options-mode-cancel').onclick = resetModeForm;
+
+  document.getElementById('options-site-settings-form').onsubmit = (e) => {
+    e.preventDefault();
+    runAction(UPDATE_DOMAIN_SETTINGS, {
+      domain: document.getElementById('options-site-domain').value.trim(),
+      changes: {
+        applyStrategy: strategySelect.value,
+        switchMethods: Array.from(document.querySelectorAll('input[name="switchMethods"]:checked'), (checkbox) => checkbox.value),
+        headerName: document.getElementById('options-site-header').value.trim(),
+        urlParam: document.getElementById('options-site-param').value.trim(),
+        urlParamValues: parseParamValues(document.getElementById('options-site-param-values').value),
+        pinMode: document.getElementById('options-site-pin').checked,
+        cookieAttributes: {
+          domain: document.getElementById('options-site-cookie-domain').value.trim(),
+          path: document.getElementById('options-site-cookie-path').value.trim() || '/',
+          maxAge: Math.round(Number(document.getElementById('options-site-cookie-lifetime').value) * SECONDS_PER_DAY),
+          sameSite: document.getElementById('options-site-cookie-samesite').value,
+          partitioned: document.getElementById('options-site-cookie-partitioned').checked,
+        },
+      },
+    });
+  };
+
+  document.getElementById('options-profile-form').onsubmit = (e) => {
+    e.preventDefault();
+    let profile;
+    try {
+      profile = JSON.parse(document.getElementById('options-profile-json').value);
+    } catch (error) {
+      showError(`Invalid JSON: ${error.message}`);
+      return;
+    }
+
+    runAction(SET_COOKIE_PROFILE, {
+      domain: document.getElementById('options-profile-domain').value.trim(),
+      profile,
+    });
+  };
+
+  document.getElementById('options-export').onclick = handleExport;
+  document.getElementById('options-import-file').onchange = handleImportFile;
+  document.getElementById('options-import-cancel').onclick = closeImportPreview;
+
+  document.getElementById('options-import-form').onsubmit = async (e) => {
+    e.preventDefault();
+    if (!pendingImport) return;
+
+    const strategy = document.querySelector('input[name="importStrategy"]:checked').value;
+    if (await runAction(IMPORT_CONFIG, { file: pendingImport, strategy })) {
+      closeImportPreview();
+    }
+  };
+
+  document.getElementById('options-rollback').onclick = () => {
+    if (confirm('Replace the current settings with the backup? Changes made since the last update are lost.')) {
+      runAction(ROLLBACK_MIGRATION);
+    }
+  };
+
+  try {
+    await refresh();
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+    showError(error.message);
+  }
+})();
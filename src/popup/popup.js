@@ -0,0 +1,184 @@
+// Toolbar popup - mode switcher for the active tab
+// Talks to the background script only, which relays to the tab's content script
+
+import {
+  GET_TAB_STATE,
+  SET_TAB_DEVICE,
+  SET_TAB_ACTIVATION,
+  GET_SETTINGS,
+  ADD_DOMAIN,
+  UNBLOCK_DOMAIN,
+  UPDATE_PREFERENCES,
+} from '../shared/constants.js';
+import { callBackground } from '../shared/messaging.js';
+
+(async function initPopup() {
+  // Message and enable action for an inactive page, per activation mode
+  const INACTIVE_STATES = {
+    allowlist: { message: 'This site is not on your allowlist.', action: 'Enable on this site' },
+    blocklist: { message: 'This site is on your blocklist.', action: 'Enable on this site' },
+    manual: { message: 'The switcher is off in this tab.', action: 'Turn on in this tab' },
+  };
+
+  let tabId = null;
+  let activationMode = null;
+
+  /**
+   * Show an error message in the popup
+   */
+  function showError(message) {
+    const error = document.getElementById('popup-error');
+    error.textContent = message;
+    error.classList.add('visible');
+  }
+
+  /**
+   * Hide error message
+   */
+  function hideError() {
+    document.getElementById('popup-error').classList.remove('visible');
+  }
+
+  /**
+   * Render the popup for the current tab state
+   */
+  function render(state) {
+    const message = document.getElementById('popup-message');
+    const buttons = document.getElementById('popup-buttons');
+    const enableBtn = document.getElementById('popup-enable');
+    const disableBtn = document.getElementById('popup-disable');
+
+    buttons.innerHTML = '';
+    enableBtn.hidden = true;
+    disableBtn.hidden = true;
+    message.hidden = false;
+
+    if (!state.available) {
+      document.getElementById('popup-host').textContent = '';
+      message.textContent = 'Device switching is not available on this page.';
+      return;
+    }
+
+    document.getElementById('popup-host').textContent = state.hostname;
+    activationMode = state.activationMode;
+
+    if (!state.active) {
+      message.textContent = INACTIVE_STATES[activationMode].message;
+      enableBtn.textContent = INACTIVE_STATES[activationMode].action;
+      enableBtn.hidden = false;
+      return;
+    }
+
+    // Manually activated tabs can be turned off again
+    disableBtn.hidden = activationMode !== 'manual';
+
+    message.hidden = true;
+    state.modes.forEach((mode) => {
+      const button = document.createElement('button');
+      button.className = 'popup-button';
+      button.classList.toggle('active', mode.id === state.device);
+      button.setAttribute('aria-label', `Switch to ${mode.label} mode`);
+
+      const emoji = document.createElement('span');
+      emoji.className = 'emoji';
+      emoji.textContent = mode.emoji;
+
+      const label = document.createElement('span');
+      label.textContent = mode.label;
+
+      button.appendChild(emoji);
+      button.appendChild(label);
+      button.onclick = () => handleDeviceChange(mode.id);
+      buttons.appendChild(button);
+    });
+  }
+
+  /**
+   * Load the state of the active tab and render it
+   */
+  async function refresh() {
+    const response = await callBackground(GET_TAB_STATE, { tabId });
+    render(response.state);
+  }
+
+  /**
+   * Switch the active tab to a device mode
+   */
+  async function handleDeviceChange(deviceType) {
+    try {
+      await callBackground(SET_TAB_DEVICE, { tabId, deviceType });
+      hideError();
+      window.close();
+    } catch (error) {
+      console.error('Failed to set device type:', error);
+      showError(`Failed to switch to ${deviceType}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Activate the switcher for the active tab's site (or the tab alone in manual mode)
+   */
+  async function handleEnable() {
+    const host = document.getElementById('popup-host').textContent;
+
+    try {
+      if (activationMode === 'manual') {
+        await callBackground(SET_TAB_ACTIVATION, { tabId, active: true });
+      } else if (activationMode === 'blocklist') {
+        await callBackground(UNBLOCK_DOMAIN, { domain: host });
+      } else {
+        await callBackground(ADD_DOMAIN, { list: 'allowlist', domain: host });
+      }
+      hideError();
+      await refresh();
+    } catch (error) {
+      console.error('Failed to enable site:', error);
+      showError(`Failed to enable site: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn the switcher off in a manually activated tab
+   */
+  async function handleDisable() {
+    try {
+      await callBackground(SET_TAB_ACTIVATION, { tabId, active: false });
+      hideError();
+      await refresh();
+    } catch (error) {
+      console.error('Failed to turn off tab:', error);
+      showError(`Failed to turn off tab: ${error.message}`);
+    }
+  }
+
+  /**
+   * Toggle the in-page card preference
+   */
+  async function handleShowCardChange(e) {
+    try {
+      await callBackground(UPDATE_PREFERENCES, { changes: { showCard: e.target.checked } });
+      hideError();
+    } catch (error) {
+      console.error('Failed to update preferences:', error);
+      showError(`Failed to update preferences: ${error.message}`);
+    }
+  }
+
+  document.getElementById('popup-options').onclick = () => chrome.runtime.openOptionsPage();
+  document.getElementById('popup-enable').onclick = handleEnable;
+  document.getElementById('popup-disable').onclick = handleDisable;
+  document.getElementById('popup-show-card').onchange = handleShowCardChange;
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    tabId = tab.id;
+
+    const { settings } = await callBackground(GET_SETTINGS);
+    document.getElementById('popup-show-card').checked = settings.preferences.showCard;
+
+    await refresh();
+  } catch (error) {
+    console.error('Failed to initialize popup:', error);
+    showError(error.message);
+  }
+})();
@@ -1,32 +1,87 @@
 // Shared constants for Device Output Switcher extension
-// Attached to global scope for use across content scripts
-
-(function() {
-  // Create global namespace for extension constants
-  if (!window.DeviceOutputConstants) {
-    window.DeviceOutputConstants = {};
-  }
-
-  // Message types passed between background and content scripts
-  window.DeviceOutputConstants.GET_COOKIE = 'GET_COOKIE';
-  window.DeviceOutputConstants.SET_COOKIE = 'SET_COOKIE';
-  window.DeviceOutputConstants.GET_ALL_COOKIES = 'GET_ALL_COOKIES';
-
-  // Device type constants
-  window.DeviceOutputConstants.DEVICE_TYPES = {
-    DESKTOP: 'desktop',
-    MOBILE: 'mobile',
-    APP: 'app',
-  };
-
-  // Domain validation regex
-  // Validates standard domain format (e.g., example.com, sub.example.co.uk)
-  // Rejects: IP addresses, protocols, paths, invalid characters
-  window.DeviceOutputConstants.DOMAIN_REGEX = /^(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9][a-z0-9-]{0,61}[a-z0-9]$/i;
-
-  // Timing constants
-  window.DeviceOutputConstants.RELOAD_DELAY_MS = 100;
-  window.DeviceOutputConstants.MESSAGE_TIMEOUT_MS = 5000;
-  window.DeviceOutputConstants.MUTATION_DEBOUNCE_MS = 250;
-  window.DeviceOutputConstants.ERROR_HIDE_DELAY_MS = 5000;
-})();
+// The one source of message types, timings and other shared values for the content
+// scripts, the background service worker and the extension pages, which all import them
+// from here
+
+// Message types sent by content scripts to the background
+export const GET_COOKIE = 'GET_COOKIE';
+export const SET_DEVICE = 'SET_DEVICE';
+export const CLEAR_DEVICE = 'CLEAR_DEVICE';
+export const REMOVE_COOKIE = 'REMOVE_COOKIE';
+export const SET_COOKIE_VALUE = 'SET_COOKIE_VALUE';
+export const GET_ALL_COOKIES = 'GET_ALL_COOKIES';
+export const TAKE_PENDING_TOAST = 'TAKE_PENDING_TOAST';
+export const GET_TAB_OVERRIDE = 'GET_TAB_OVERRIDE';
+export const SET_TAB_OVERRIDE = 'SET_TAB_OVERRIDE';
+export const CLEAR_TAB_OVERRIDE = 'CLEAR_TAB_OVERRIDE';
+export const GET_DEVICE_HEADERS = 'GET_DEVICE_HEADERS';
+export const GET_TAB_ACTIVATION = 'GET_TAB_ACTIVATION';
+export const GET_MODE_MISMATCH = 'GET_MODE_MISMATCH';
+export const GET_PIN_LOG = 'GET_PIN_LOG';
+export const GET_COOKIE_DETAILS = 'GET_COOKIE_DETAILS';
+
+// Message types sent by the popup and options page to the background
+export const GET_TAB_STATE = 'GET_TAB_STATE';
+export const SET_TAB_DEVICE = 'SET_TAB_DEVICE';
+export const GET_SETTINGS = 'GET_SETTINGS';
+export const GET_COMMANDS = 'GET_COMMANDS';
+export const SET_TAB_ACTIVATION = 'SET_TAB_ACTIVATION';
+
+// Settings actions sent by the popup and options page (see SETTINGS_ACTIONS in background.js)
+export const ADD_DOMAIN = 'ADD_DOMAIN';
+export const REMOVE_DOMAIN = 'REMOVE_DOMAIN';
+export const UNBLOCK_DOMAIN = 'UNBLOCK_DOMAIN';
+export const ADD_DEVICE_MODE = 'ADD_DEVICE_MODE';
+export const UPDATE_DEVICE_MODE = 'UPDATE_DEVICE_MODE';
+export const REMOVE_DEVICE_MODE = 'REMOVE_DEVICE_MODE';
+export const MOVE_DEVICE_MODE = 'MOVE_DEVICE_MODE';
+export const SET_COOKIE_PROFILE = 'SET_COOKIE_PROFILE';
+export const REMOVE_COOKIE_PROFILE = 'REMOVE_COOKIE_PROFILE';
+export const UPDATE_DOMAIN_SETTINGS = 'UPDATE_DOMAIN_SETTINGS';
+export const REMOVE_DOMAIN_SETTINGS = 'REMOVE_DOMAIN_SETTINGS';
+export const UPDATE_PREFERENCES = 'UPDATE_PREFERENCES';
+export const SET_SYNC_ENABLED = 'SET_SYNC_ENABLED';
+export const EXPORT_CONFIG = 'EXPORT_CONFIG';
+export const PREVIEW_IMPORT = 'PREVIEW_IMPORT';
+export const IMPORT_CONFIG = 'IMPORT_CONFIG';
+export const ROLLBACK_MIGRATION = 'ROLLBACK_MIGRATION';
+
+// Message types sent by the background to content scripts
+export const COOKIE_CHANGED = 'COOKIE_CHANGED';
+export const GET_DEVICE_STATE = 'GET_DEVICE_STATE';
+export const APPLY_DEVICE = 'APPLY_DEVICE';
+export const DEVICE_COMMAND = 'DEVICE_COMMAND';
+export const ACTIVATION_CHANGED = 'ACTIVATION_CHANGED';
+export const MODE_MISMATCH = 'MODE_MISMATCH';
+export const PIN_RESTORED = 'PIN_RESTORED';
+export const HISTORY_STATE_UPDATED = 'HISTORY_STATE_UPDATED';
+
+// Timing constants
+export const RELOAD_DELAY_MS = 100;
+export const MESSAGE_TIMEOUT_MS = 5000;
+export const ERROR_HIDE_DELAY_MS = 5000;
+
+// Cookie lifetimes are stored in seconds and shown in days
+export const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Labels of the apply strategies and switching methods (see storage-manager.js),
+// shown by the card and the options page
+export const APPLY_STRATEGY_LABELS = Object.freeze({
+  reload: 'Reload page',
+  refetch: 'Soft refresh (pages without scripts)',
+  event: 'No reload (page event)',
+});
+
+export const SWITCH_METHOD_LABELS = Object.freeze({
+  cookie: 'Cookie',
+  header: 'Header',
+  userAgent: 'User-Agent',
+  urlParam: 'URL parameter',
+});
+
+// declarativeNetRequest rules: every resource type, main_frame is not matched unless listed explicitly
+export const ALL_RESOURCE_TYPES = Object.freeze([
+  'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+  'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'webtransport',
+  'webbundle', 'other',
+]);
@@ -0,0 +1,65 @@
+// Messaging helpers - send protocol requests and check the answers (see protocol.js)
+// Content scripts and extension pages (toolbar popup, options page) call the background
+// script, the background script calls the content scripts of its tabs
+
+import { MESSAGE_TIMEOUT_MS } from './constants.js';
+import { ERROR_CODES, ProtocolError, createRequest, isNotification, parseResponse } from './protocol.js';
+
+/**
+ * Send a request to the background script and wait for response
+ * @param {string} type - Message type
+ * @param {Object} payload - Fields of the type's request schema
+ * @param {number} [timeout] - Timeout in milliseconds
+ * @returns {Promise<Object>} Resolves with the response, rejects with a ProtocolError whose
+ *   code tells a timeout, an invalid message, a rejected sender or a failed operation apart
+ */
+function callBackground(type, payload = {}, timeout = MESSAGE_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const request = createRequest(type, payload);
+
+    const timer = setTimeout(() => {
+      reject(new ProtocolError(ERROR_CODES.TIMEOUT, `Timeout waiting for response to ${type} after ${timeout}ms`));
+    }, timeout);
+
+    chrome.runtime.sendMessage(request, (response) => {
+      clearTimeout(timer);
+
+      if (chrome.runtime.lastError) {
+        reject(new ProtocolError(ERROR_CODES.RUNTIME_ERROR, `Chrome runtime error: ${chrome.runtime.lastError.message}`));
+        return;
+      }
+
+      try {
+        resolve(parseResponse(request, response));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Send a request or notification to the content script of a tab
+ * @param {number} tabId
+ * @param {string} type - Message type
+ * @param {Object} payload - Fields of the type's request schema
+ * @returns {Promise<Object|undefined>} The response, nothing for notifications
+ * @throws {ProtocolError} RUNTIME_ERROR when the tab has no content script to answer
+ */
+async function sendToTab(tabId, type, payload = {}) {
+  const request = createRequest(type, payload);
+
+  let response;
+  try {
+    response = await chrome.tabs.sendMessage(tabId, request);
+  } catch (error) {
+    throw new ProtocolError(ERROR_CODES.RUNTIME_ERROR, error.message);
+  }
+
+  return isNotification(type) ? undefined : parseResponse(request, response);
+}
+
+export {
+  callBackground,
+  sendToTab,
+};
@@ -0,0 +1,352 @@
+// Message protocol between content scripts, extension pages and the background worker
+//
+// Every request is an envelope { protocol, id, type, ...fields }: protocol is the version
+// of the sender (a content script left behind by an extension update may speak an older
+// one), id pairs the response with its request and type names a schema below. Responses
+// are { protocol, id, success: true, ...fields } or { protocol, id, success: false,
+// error: { code, message } } with a code from ERROR_CODES, so callers can tell a timeout
+// from a rejected origin without matching message text. Both ends validate what they send
+// and what they receive.
+//
+// Schema fields name a type: string, number, boolean, object, array, url (absolute URL)
+// or any. "a|b" accepts either type, a trailing "?" also accepts null or no value.
+// Unknown fields are rejected, so a misspelt field fails instead of being ignored.
+
+import {
+  GET_COOKIE,
+  SET_DEVICE,
+  CLEAR_DEVICE,
+  REMOVE_COOKIE,
+  SET_COOKIE_VALUE,
+  GET_ALL_COOKIES,
+  TAKE_PENDING_TOAST,
+  GET_TAB_OVERRIDE,
+  SET_TAB_OVERRIDE,
+  CLEAR_TAB_OVERRIDE,
+  GET_DEVICE_HEADERS,
+  GET_TAB_ACTIVATION,
+  GET_MODE_MISMATCH,
+  GET_PIN_LOG,
+  GET_COOKIE_DETAILS,
+  GET_TAB_STATE,
+  SET_TAB_DEVICE,
+  GET_SETTINGS,
+  GET_COMMANDS,
+  SET_TAB_ACTIVATION,
+  ADD_DOMAIN,
+  REMOVE_DOMAIN,
+  UNBLOCK_DOMAIN,
+  ADD_DEVICE_MODE,
+  UPDATE_DEVICE_MODE,
+  REMOVE_DEVICE_MODE,
+  MOVE_DEVICE_MODE,
+  SET_COOKIE_PROFILE,
+  REMOVE_COOKIE_PROFILE,
+  UPDATE_DOMAIN_SETTINGS,
+  REMOVE_DOMAIN_SETTINGS,
+  UPDATE_PREFERENCES,
+  SET_SYNC_ENABLED,
+  EXPORT_CONFIG,
+  PREVIEW_IMPORT,
+  IMPORT_CONFIG,
+  ROLLBACK_MIGRATION,
+  COOKIE_CHANGED,
+  GET_DEVICE_STATE,
+  APPLY_DEVICE,
+  DEVICE_COMMAND,
+  ACTIVATION_CHANGED,
+  MODE_MISMATCH,
+  PIN_RESTORED,
+  HISTORY_STATE_UPDATED,
+} from './constants.js';
+
+// Bump when a schema changes in a way older senders would break
+const PROTOCOL_VERSION = 1;
+
+const ERROR_CODES = Object.freeze({
+  TIMEOUT: 'TIMEOUT', // no response within the timeout
+  NO_RESPONSE: 'NO_RESPONSE', // the receiver closed the channel without answering
+  RUNTIME_ERROR: 'RUNTIME_ERROR', // chrome.runtime could not deliver the message
+  INVALID_MESSAGE: 'INVALID_MESSAGE', // a request or response does not match its schema
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION', // sent with another protocol version
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE', // no such message type for this sender
+  INVALID_SENDER: 'INVALID_SENDER', // not sent from a tab or one of our pages
+  ORIGIN_MISMATCH: 'ORIGIN_MISMATCH', // the request URL is not on the sender's origin
+  OPERATION_FAILED: 'OPERATION_FAILED', // the handler threw
+});
+
+// Who may send a message type
+const SENDERS = Object.freeze({
+  CONTENT: 'content',
+  PAGE: 'page',
+  BACKGROUND: 'background',
+});
+
+/**
+ * Message schemas by type
+ * from names the sender, response is null for notifications that get no answer
+ */
+const MESSAGE_SCHEMAS = {
+  // Content scripts -> background, url is always the page's own URL
+  [GET_COOKIE]: { from: SENDERS.CONTENT, request: { url: 'url', name: 'string' }, response: { cookie: 'object?' } },
+  [SET_DEVICE]: { from: SENDERS.CONTENT, request: { url: 'url', deviceType: 'string' }, response: { cookies: 'array', override: 'object?' } },
+  [CLEAR_DEVICE]: { from: SENDERS.CONTENT, request: { url: 'url' }, response: {} },
+  [REMOVE_COOKIE]: { from: SENDERS.CONTENT, request: { url: 'url', name: 'string' }, response: {} },
+  [SET_COOKIE_VALUE]: { from: SENDERS.CONTENT, request: { url: 'url', name: 'string', value: 'string' }, response: { result: 'object?' } },
+  [GET_ALL_COOKIES]: { from: SENDERS.CONTENT, request: { url: 'url' }, response: { cookies: 'array' } },
+  [TAKE_PENDING_TOAST]: { from: SENDERS.CONTENT, request: { url: 'url' }, response: { toast: 'string?' } },
+  [GET_TAB_OVERRIDE]: { from: SENDERS.CONTENT, request: { url: 'url' }, response: { override: 'object?' } },
+  [SET_TAB_OVERRIDE]: { from: SENDERS.CONTENT, request: { url: 'url', deviceType: 'string?' }, response: { override: 'object' } },
+  [CLEAR_TAB_OVERRIDE]: { from: SENDERS.CONTENT, request: { url: 'url' }, response: {} },
+  [GET_DEVICE_HEADERS]: { from: SENDERS.CONTENT, request: { url: 'url' }, response: { deviceType: 'string?' } },
+  [GET_TAB_ACTIVATION]: { from: SENDERS.CONTENT, request: { url: 'url' }, response: { active: 'boolean' } },
+  [GET_MODE_MISMATCH]: { from: SENDERS.CONTENT, request: { url: 'url' }, response: { mismatch: 'object?' } },
+  [GET_PIN_LOG]: { from: SENDERS.CONTENT, request: { url: 'url' }, response: { entries: 'array' } },
+  [GET_COOKIE_DETAILS]: { from: SENDERS.CONTENT, request: { url: 'url' }, response: { details: 'object' } },
+
+  // Popup and options page -> background
+  [GET_TAB_STATE]: { from: SENDERS.PAGE, request: { tabId: 'number' }, response: { state: 'object' } },
+  [SET_TAB_DEVICE]: { from: SENDERS.PAGE, request: { tabId: 'number', deviceType: 'string' }, response: {} },
+  [GET_SETTINGS]: { from: SENDERS.PAGE, request: {}, response: { settings: 'object' } },
+  [GET_COMMANDS]: { from: SENDERS.PAGE, request: {}, response: { commands: 'array' } },
+  [SET_TAB_ACTIVATION]: { from: SENDERS.PAGE, request: { tabId: 'number', active: 'boolean' }, response: {} },
+
+  // Settings actions, answered with the result of the storage operation
+  [ADD_DOMAIN]: { from: SENDERS.PAGE, request: { list: 'string', domain: 'string' }, response: { result: 'any?' } },
+  [REMOVE_DOMAIN]: { from: SENDERS.PAGE, request: { list: 'string', domain: 'string' }, response: { result: 'any?' } },
+  [UNBLOCK_DOMAIN]: { from: SENDERS.PAGE, request: { domain: 'string' }, response: { result: 'any?' } },
+  [ADD_DEVICE_MODE]: { from: SENDERS.PAGE, request: { mode: 'object' }, response: { result: 'any?' } },
+  [UPDATE_DEVICE_MODE]: { from: SENDERS.PAGE, request: { id: 'string', changes: 'object' }, response: { result: 'any?' } },
+  [REMOVE_DEVICE_MODE]: { from: SENDERS.PAGE, request: { id: 'string' }, response: { result: 'any?' } },
+  [MOVE_DEVICE_MODE]: { from: SENDERS.PAGE, request: { id: 'string', offset: 'number' }, response: { result: 'any?' } },
+  [SET_COOKIE_PROFILE]: { from: SENDERS.PAGE, request: { domain: 'string', profile: 'object' }, response: { result: 'any?' } },
+  [REMOVE_COOKIE_PROFILE]: { from: SENDERS.PAGE, request: { domain: 'string' }, response: { result: 'any?' } },
+  [UPDATE_DOMAIN_SETTINGS]: { from: SENDERS.PAGE, request: { domain: 'string', changes: 'object' }, response: { result: 'any?' } },
+  [REMOVE_DOMAIN_SETTINGS]: { from: SENDERS.PAGE, request: { domain: 'string' }, response: { result: 'any?' } },
+  [UPDATE_PREFERENCES]: { from: SENDERS.PAGE, request: { changes: 'object' }, response: { result: 'any?' } },
+  [SET_SYNC_ENABLED]: { from: SENDERS.PAGE, request: { enabled: 'boolean' }, response: { result: 'any?' } },
+  [EXPORT_CONFIG]: { from: SENDERS.PAGE, request: {}, response: { result: 'any?' } },
+  // The file is parsed JSON of any shape, config-transfer.js checks it
+  [PREVIEW_IMPORT]: { from: SENDERS.PAGE, request: { file: 'any?' }, response: { result: 'any?' } },
+  [IMPORT_CONFIG]: { from: SENDERS.PAGE, request: { file: 'any?', strategy: 'string' }, response: { result: 'any?' } },
+  [ROLLBACK_MIGRATION]: { from: SENDERS.PAGE, request: {}, response: { result: 'any?' } },
+
+  // Background -> content scripts
+  [COOKIE_CHANGED]: { from: SENDERS.BACKGROUND, request: { url: 'url' }, response: null },
+  [GET_DEVICE_STATE]: {
+    from: SENDERS.BACKGROUND,
+    request: {},
+    response: { hostname: 'string', active: 'boolean', activationMode: 'string', device: 'string?', modes: 'array' },
+  },
+  [APPLY_DEVICE]: { from: SENDERS.BACKGROUND, request: { deviceType: 'string' }, response: {} },
+  [DEVICE_COMMAND]: { from: SENDERS.BACKGROUND, request: { command: 'string' }, response: { toast: 'string?', reloading: 'boolean' } },
+  [ACTIVATION_CHANGED]: { from: SENDERS.BACKGROUND, request: {}, response: {} },
+  [MODE_MISMATCH]: { from: SENDERS.BACKGROUND, request: { mismatch: 'object?' }, response: null },
+  [PIN_RESTORED]: { from: SENDERS.BACKGROUND, request: { entry: 'object' }, response: null },
+  [HISTORY_STATE_UPDATED]: { from: SENDERS.BACKGROUND, request: { url: 'url' }, response: null },
+};
+
+// Envelope fields, allowed besides the schema's fields
+const REQUEST_ENVELOPE = ['protocol', 'id', 'type'];
+const RESPONSE_ENVELOPE = ['protocol', 'id', 'success'];
+
+// Request IDs are unique per sender, the prefix tells apart tabs and pages in logs
+const ID_PREFIX = Math.random().toString(36).slice(2, 8);
+let requestCount = 0;
+
+/**
+ * Error with a code from ERROR_CODES, thrown by the protocol helpers and
+ * rejected with by the senders in messaging.js
+ */
+class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check whether a string is an absolute URL
+ */
+function isUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a value against a schema field type
+ * @param {*} value
+ * @param {string} spec - e.g. 'string', 'object|null', 'url?'
+ */
+function matchesType(value, spec) {
+  if (spec.endsWith('?') && (value === undefined || value === null)) {
+    return true;
+  }
+
+  return spec.replace(/\?$/, '').split('|').some((type) => {
+    switch (type) {
+      case 'any': return value !== undefined;
+      case 'null': return value === null;
+      case 'array': return Array.isArray(value);
+      case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+      case 'url': return typeof value === 'string' && isUrl(value);
+      default: return typeof value === type;
+    }
+  });
+}
+
+/**
+ * Check a message's fields against a schema
+ * @param {Object} message
+ * @param {Object} fields - Schema fields
+ * @param {string[]} envelope - Envelope fields to skip
+ * @param {string} what - Message description for errors, e.g. 'GET_COOKIE request'
+ * @throws {ProtocolError} INVALID_MESSAGE naming the first bad field
+ */
+function validateFields(message, fields, envelope, what) {
+  const unknown = Object.keys(message).find((key) => !envelope.includes(key) && !(key in fields));
+  if (unknown) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, `Invalid ${what}: unknown field "${unknown}"`);
+  }
+
+  for (const [key, spec] of Object.entries(fields)) {
+    if (!matchesType(message[key], spec)) {
+      throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, `Invalid ${what}: "${key}" must be ${spec.replace(/\?$/, ' or null')}`);
+    }
+  }
+}
+
+/**
+ * Get the schema of a message type
+ * @throws {ProtocolError} UNKNOWN_TYPE
+ */
+function getSchema(type) {
+  if (!Object.hasOwn(MESSAGE_SCHEMAS, type)) {
+    throw new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${type}`);
+  }
+  return MESSAGE_SCHEMAS[type];
+}
+
+/**
+ * Build a request envelope
+ * @param {string} type - Message type
+ * @param {Object} [fields] - Fields of the type's schema
+ * @returns {Object} Request, ready for chrome.runtime.sendMessage or chrome.tabs.sendMessage
+ * @throws {ProtocolError} UNKNOWN_TYPE or INVALID_MESSAGE, before anything is sent
+ */
+function createRequest(type, fields = {}) {
+  const request = { protocol: PROTOCOL_VERSION, id: `${ID_PREFIX}-${++requestCount}`, type, ...fields };
+  validateFields(request, getSchema(type).request, REQUEST_ENVELOPE, `${type} request`);
+  return request;
+}
+
+/**
+ * Check a received request
+ * @param {*} message - Message as received by onMessage
+ * @param {string} from - Who sent it, one of SENDERS
+ * @returns {Object} The request
+ * @throws {ProtocolError} INVALID_MESSAGE, UNSUPPORTED_VERSION or UNKNOWN_TYPE
+ */
+function parseRequest(message, from) {
+  if (typeof message !== 'object' || message === null || typeof message.id !== 'string') {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, 'Invalid message: not a protocol request');
+  }
+  if (message.protocol !== PROTOCOL_VERSION) {
+    throw new ProtocolError(ERROR_CODES.UNSUPPORTED_VERSION,
+      `Unsupported protocol version ${message.protocol}, expected ${PROTOCOL_VERSION}`);
+  }
+
+  const schema = getSchema(message.type);
+  if (schema.from !== from) {
+    throw new ProtocolError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type}`);
+  }
+
+  validateFields(message, schema.request, REQUEST_ENVELOPE, `${message.type} request`);
+  return message;
+}
+
+/**
+ * Check whether a message type is a notification, sent without expecting an answer
+ */
+function isNotification(type) {
+  return getSchema(type).response === null;
+}
+
+/**
+ * Build the success response to a request
+ * @param {Object} request - Parsed request
+ * @param {Object} [fields] - Fields of the type's response schema
+ * @throws {ProtocolError} INVALID_MESSAGE when the handler's answer breaks the schema
+ */
+function createResponse(request, fields = {}) {
+  const response = { protocol: PROTOCOL_VERSION, id: request.id, success: true, ...fields };
+  validateFields(response, getSchema(request.type).response, RESPONSE_ENVELOPE, `${request.type} response`);
+  return response;
+}
+
+/**
+ * Build the error response to a request
+ * @param {*} request - Request as received, possibly not a valid one
+ * @param {Error} error - A ProtocolError keeps its code, anything else is OPERATION_FAILED
+ */
+function createErrorResponse(request, error) {
+  return {
+    protocol: PROTOCOL_VERSION,
+    id: request && typeof request.id === 'string' ? request.id : null,
+    success: false,
+    error: {
+      code: error instanceof ProtocolError ? error.code : ERROR_CODES.OPERATION_FAILED,
+      message: error.message,
+    },
+  };
+}
+
+/**
+ * Check the response to a request
+ * @param {Object} request - The request that was sent
+ * @param {*} response - Response as received
+ * @returns {Object} The successful response
+ * @throws {ProtocolError} The error response's code, or NO_RESPONSE, UNSUPPORTED_VERSION
+ *   or INVALID_MESSAGE for a missing or malformed response
+ */
+function parseResponse(request, response) {
+  if (response === undefined || response === null) {
+    throw new ProtocolError(ERROR_CODES.NO_RESPONSE, `No response received to ${request.type}`);
+  }
+  if (typeof response !== 'object' || response.id !== request.id) {
+    throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, `Invalid ${request.type} response: not an answer to request ${request.id}`);
+  }
+  if (response.protocol !== PROTOCOL_VERSION) {
+    throw new ProtocolError(ERROR_CODES.UNSUPPORTED_VERSION,
+      `Unsupported protocol version ${response.protocol}, expected ${PROTOCOL_VERSION}`);
+  }
+
+  if (response.success !== true) {
+    const { code, message } = response.error || {};
+    if (!Object.hasOwn(ERROR_CODES, code) || typeof message !== 'string') {
+      throw new ProtocolError(ERROR_CODES.INVALID_MESSAGE, `Invalid ${request.type} response: malformed error`);
+    }
+    throw new ProtocolError(code, message);
+  }
+
+  validateFields(response, getSchema(request.type).response, RESPONSE_ENVELOPE, `${request.type} response`);
+  return response;
+}
+
+export {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  SENDERS,
+  ProtocolError,
+  createRequest,
+  parseRequest,
+  isNotification,
+  createResponse,
+  createErrorResponse,
+  parseResponse,
+};
@@ -0,0 +1,332 @@
+// Message handling of the background service worker: sender and origin checks,
+// profile cookie guards and the settings actions of extension pages
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeBrowser, EXTENSION_ID, EXTENSION_ORIGIN } = require('./helpers/chrome-fake.cjs');
+const { loadBackground } = require('./helpers/load-scripts.cjs');
+
+describe('background onMessage', () => {
+  let browser;
+  let background;
+  let protocolVersion;
+  let requestCount = 0;
+
+  /**
+   * Send a message to the background as the given sender, as is
+   * @returns {Promise<Object>} Response passed to sendResponse, serialized like Chrome does
+   */
+  const sendRaw = (message, sender) => new Promise((resolve) => {
+    const sendResponse = (response) => resolve(JSON.parse(JSON.stringify(response)));
+    const results = browser.background.runtime.onMessage.dispatch(message, sender, sendResponse);
+    assert.ok(results.includes(true), 'the listener should answer asynchronously');
+  });
+
+  /**
+   * Send a request to the background in the protocol envelope
+   */
+  const send = (request, sender) => sendRaw({ protocol: protocolVersion, id: `test-${++requestCount}`, ...request }, sender);
+
+  /**
+   * Check that a response failed with an error code (and message)
+   */
+  const assertError = (response, code, message) => {
+    assert.equal(response.success, false);
+    assert.equal(response.error.code, code, response.error.message);
+    if (typeof message === 'string') {
+      assert.equal(response.error.message, message);
+    } else if (message) {
+      assert.match(response.error.message, message);
+    }
+  };
+
+  /**
+   * Sender of a content script in a tab
+   */
+  const tabSender = (url, tabId = 1) => ({ id: EXTENSION_ID, tab: { id: tabId, url }, url });
+
+  beforeEach(async () => {
+    browser = createFakeBrowser();
+    background = await loadBackground(browser);
+    ({ PROTOCOL_VERSION: protocolVersion } = await background.import('src/shared/protocol.js'));
+  });
+
+  describe('sender and origin checks', () => {
+    it('rejects messages without a tab', async () => {
+      const response = await send(
+        { type: 'GET_COOKIE', url: 'https://example.com/', name: 'deviceoutput' },
+        { id: EXTENSION_ID }
+      );
+
+      assertError(response, 'INVALID_SENDER', 'Invalid sender');
+    });
+
+    it('rejects requests for another origin than the sending tab', async () => {
+      const response = await send(
+        { type: 'SET_DEVICE', url: 'https://bank.example/', deviceType: 'mobile' },
+        tabSender('https://evil.example/page')
+      );
+
+      assertError(response, 'ORIGIN_MISMATCH', 'Origin mismatch');
+      assert.equal(browser.state.cookies.length, 0);
+    });
+
+    it('treats other schemes and ports as other origins', async () => {
+      const requests = ['http://example.com/', 'https://example.com:8443/', 'https://shop.example.com/'];
+
+      for (const url of requests) {
+        const response = await send({ type: 'GET_ALL_COOKIES', url }, tabSender('https://example.com/'));
+        assert.equal(response.error.code, 'ORIGIN_MISMATCH', url);
+      }
+    });
+
+    it('rejects malformed URLs', async () => {
+      const response = await send({ type: 'GET_ALL_COOKIES', url: 'not a url' }, tabSender('https://example.com/'));
+
+      assertError(response, 'INVALID_MESSAGE', /"url" must be url/);
+    });
+
+    it('does not treat tabs showing extension pages of another extension as our pages', async () => {
+      const response = await send(
+        { type: 'GET_SETTINGS' },
+        { id: 'otherextension', url: 'chrome-extension://otherextension/page.html' }
+      );
+
+      assertError(response, 'INVALID_SENDER');
+    });
+
+    it('answers unknown message types with an error', async () => {
+      const response = await send({ type: 'NOPE', url: 'https://example.com/' }, tabSender('https://example.com/'));
+
+      assertError(response, 'UNKNOWN_TYPE', 'Unknown message type: NOPE');
+    });
+  });
+
+  describe('protocol', () => {
+    const sender = tabSender('https://example.com/');
+
+    it('answers with the protocol version and the request id', async () => {
+      const response = await sendRaw({ protocol: protocolVersion, id: 'abc-1', type: 'GET_ALL_COOKIES', url: sender.url }, sender);
+
+      assert.deepEqual(response, { protocol: protocolVersion, id: 'abc-1', success: true, cookies: [] });
+    });
+
+    it('rejects messages outside the protocol envelope', async () => {
+      const response = await sendRaw({ type: 'GET_ALL_COOKIES', url: sender.url }, sender);
+
+      assert.deepEqual(response, {
+        protocol: protocolVersion,
+        id: null,
+        success: false,
+        error: { code: 'INVALID_MESSAGE', message: 'Invalid message: not a protocol request' },
+      });
+    });
+
+    it('rejects other protocol versions', async () => {
+      const response = await send({ protocol: protocolVersion + 1, type: 'GET_ALL_COOKIES', url: sender.url }, sender);
+
+      assertError(response, 'UNSUPPORTED_VERSION');
+    });
+
+    it('rejects missing and unknown fields', async () => {
+      assertError(await send({ type: 'GET_COOKIE', url: sender.url }, sender), 'INVALID_MESSAGE', /"name" must be string/);
+      assertError(
+        await send({ type: 'GET_ALL_COOKIES', url: sender.url, tabId: 2 }, sender),
+        'INVALID_MESSAGE',
+        /unknown field "tabId"/
+      );
+    });
+
+    it('keeps extension page messages from content scripts', async () => {
+      const response = await send({ type: 'ADD_DOMAIN', list: 'allowlist', domain: 'example.com' }, sender);
+
+      assertError(response, 'UNKNOWN_TYPE');
+      assert.equal(browser.state.storage.local.data.allowlist, undefined);
+    });
+  });
+
+  describe('cookies', () => {
+    it('sets every profile cookie to the value of the mode', async () => {
+      const sender = tabSender('https://example.com/page');
+
+      const response = await send({ type: 'SET_DEVICE', url: sender.url, deviceType: 'mobile' }, sender);
+      assert.equal(response.success, true, response.error && response.error.message);
+      assert.deepEqual(response.cookies.map((cookie) => cookie.name), ['deviceoutput', 'devicetype']);
+
+      const cookies = browser.state.cookies.map(({ name, value, domain, path }) => ({ name, value, domain, path }));
+      assert.deepEqual(cookies, [
+        { name: 'deviceoutput', value: 'mobile', domain: '.example.com', path: '/' },
+        { name: 'devicetype', value: 'mobile', domain: '.example.com', path: '/' },
+      ]);
+    });
+
+    it('only writes cookies of the cookie profile', async () => {
+      const sender = tabSender('https://example.com/');
+      const response = await send({ type: 'SET_COOKIE_VALUE', url: sender.url, name: 'session', value: 'mobile' }, sender);
+
+      assertError(response, 'OPERATION_FAILED', /not part of the cookie profile/);
+      assert.equal(browser.state.cookies.length, 0);
+    });
+
+    it('rejects unknown modes', async () => {
+      const sender = tabSender('https://example.com/');
+      const response = await send({ type: 'SET_DEVICE', url: sender.url, deviceType: 'watch' }, sender);
+
+      assertError(response, 'OPERATION_FAILED', 'Invalid device type: watch');
+      assert.equal(browser.state.cookies.length, 0);
+    });
+
+    it('puts the cookies back when one of them cannot be written', async () => {
+      const sender = tabSender('https://example.com/');
+      await send({ type: 'SET_DEVICE', url: sender.url, deviceType: 'desktop' }, sender);
+
+      const { set } = browser.background.cookies;
+      browser.background.cookies.set = async (details) => {
+        if (details.name === 'devicetype' && details.value === 'mobile') {
+          throw new Error('Cookie rejected');
+        }
+        return set(details);
+      };
+
+      const response = await send({ type: 'SET_DEVICE', url: sender.url, deviceType: 'mobile' }, sender);
+
+      assertError(response, 'OPERATION_FAILED', 'Cookie rejected');
+      const cookies = browser.state.cookies.map(({ name, value, domain }) => `${name}=${value}; ${domain}`);
+      assert.deepEqual(cookies.sort(), ['deviceoutput=desktop; .example.com', 'devicetype=desktop; .example.com']);
+      const { REQUESTED_MODES_ITEM } = await background.import('src/background/requested-modes.js');
+      assert.deepEqual(Object.values(await REQUESTED_MODES_ITEM.get()).map((entry) => entry.deviceType), ['desktop']);
+    });
+
+    it('tells the tabs of the site once per switch', async () => {
+      const tabId = browser.openTab('https://example.com/other');
+      const messages = [];
+      browser.tabChrome(tabId).runtime.onMessage.addListener((message) => {
+        messages.push(message.type);
+      });
+
+      const sender = tabSender('https://example.com/');
+      await send({ type: 'SET_DEVICE', url: sender.url, deviceType: 'app' }, sender);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      assert.deepEqual(messages, ['COOKIE_CHANGED']);
+    });
+
+    it('removes the device cookies for the Default state', async () => {
+      const tabId = browser.openTab('https://example.com/other');
+      const messages = [];
+      browser.tabChrome(tabId).runtime.onMessage.addListener((message) => {
+        messages.push(message.type);
+      });
+      const sender = tabSender('https://example.com/');
+      await send({ type: 'SET_DEVICE', url: sender.url, deviceType: 'app' }, sender);
+
+      const response = await send({ type: 'CLEAR_DEVICE', url: sender.url }, sender);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      assert.equal(response.success, true, response.error && response.error.message);
+      assert.equal(browser.state.cookies.length, 0);
+      const { REQUESTED_MODES_ITEM } = await background.import('src/background/requested-modes.js');
+      assert.deepEqual(await REQUESTED_MODES_ITEM.get(), {});
+      assert.deepEqual(messages, ['COOKIE_CHANGED', 'COOKIE_CHANGED'], 'one broadcast for the switch, one for the reset');
+    });
+
+    it('puts the cookies back when one of them cannot be removed', async () => {
+      const sender = tabSender('https://example.com/');
+      await send({ type: 'SET_DEVICE', url: sender.url, deviceType: 'mobile' }, sender);
+
+      const { remove } = browser.background.cookies;
+      browser.background.cookies.remove = async (details) => {
+        if (details.name === 'devicetype') {
+          throw new Error('Cookie locked');
+        }
+        return remove(details);
+      };
+
+      const response = await send({ type: 'CLEAR_DEVICE', url: sender.url }, sender);
+
+      assertError(response, 'OPERATION_FAILED', 'Failed to remove cookie "devicetype"');
+      const cookies = browser.state.cookies.map(({ name, value, domain }) => `${name}=${value}; ${domain}`);
+      assert.deepEqual(cookies.sort(), ['deviceoutput=mobile; .example.com', 'devicetype=mobile; .example.com']);
+      const { REQUESTED_MODES_ITEM } = await background.import('src/background/requested-modes.js');
+      assert.deepEqual(Object.values(await REQUESTED_MODES_ITEM.get()).map((entry) => entry.deviceType), ['mobile']);
+    });
+
+    it('keeps the requested mode when the inspector deletes one cookie', async () => {
+      const sender = tabSender('https://example.com/');
+      await send({ type: 'SET_DEVICE', url: sender.url, deviceType: 'app' }, sender);
+
+      const response = await send({ type: 'REMOVE_COOKIE', url: sender.url, name: 'devicetype' }, sender);
+
+      assert.equal(response.success, true, response.error && response.error.message);
+      assert.deepEqual(browser.state.cookies.map((cookie) => cookie.name), ['deviceoutput']);
+      const { REQUESTED_MODES_ITEM } = await background.import('src/background/requested-modes.js');
+      assert.deepEqual(Object.values(await REQUESTED_MODES_ITEM.get()).map((entry) => entry.deviceType), ['app']);
+    });
+  });
+
+  describe('tab overrides', () => {
+    it('rewrites the requests of the tab to its own host only', async () => {
+      const sender = tabSender('https://example.com/page');
+
+      const response = await send({ type: 'SET_TAB_OVERRIDE', url: sender.url, deviceType: 'mobile' }, sender);
+
+      assert.equal(response.success, true, response.error && response.error.message);
+      const [rule] = browser.state.rules.session;
+      assert.deepEqual(rule.condition.tabIds, [1]);
+      assert.equal(rule.condition.requestDomains, undefined, 'requestDomains would match subdomains too');
+      const filter = new RegExp(rule.condition.regexFilter);
+      ['https://example.com/', 'https://example.com:8443/api', 'wss://example.com/socket'].forEach((url) => {
+        assert.ok(filter.test(url), url);
+      });
+      ['https://api.example.com/', 'https://example.com.evil.test/', 'https://exampleXcom/'].forEach((url) => {
+        assert.ok(!filter.test(url), url);
+      });
+    });
+  });
+
+  describe('extension pages', () => {
+    const optionsPage = { id: EXTENSION_ID, url: `${EXTENSION_ORIGIN}/src/options/options.html` };
+
+    it('runs settings actions without origin checks', async () => {
+      const response = await send({ type: 'ADD_DOMAIN', list: 'blocklist', domain: 'Example.com' }, optionsPage);
+
+      assert.equal(response.success, true, response.error && response.error.message);
+      assert.deepEqual(response.result, ['example.com']);
+      assert.deepEqual(browser.state.storage.local.data.blocklist, ['example.com']);
+    });
+
+    it('returns the full configuration', async () => {
+      await browser.state.storage.local.set({ domainSettings: { 'example.com': { applyStrategy: 'event' } } });
+
+      const response = await send({ type: 'GET_SETTINGS' }, optionsPage);
+
+      assert.equal(response.success, true, response.error && response.error.message);
+      assert.deepEqual(response.settings.modes.map((mode) => mode.id), ['desktop', 'mobile', 'app']);
+      assert.equal(response.settings.preferences.activationMode, 'blocklist');
+      // Stored site settings are filled in with the defaults of newer fields
+      assert.equal(response.settings.domainSettings['example.com'].applyStrategy, 'event');
+      assert.deepEqual(response.settings.domainSettings['example.com'].switchMethods, ['cookie']);
+    });
+
+    it('exports the configuration and imports the file again', async () => {
+      await browser.state.storage.local.set({ domainSettings: { 'example.com': { applyStrategy: 'event' } } });
+
+      const exported = await send({ type: 'EXPORT_CONFIG' }, optionsPage);
+      assert.equal(exported.success, true, exported.error && exported.error.message);
+      assert.equal(exported.result.data.domainSettings['example.com'].applyStrategy, 'event');
+
+      await browser.state.storage.local.set({ domainSettings: {} });
+      const imported = await send({ type: 'IMPORT_CONFIG', file: exported.result, strategy: 'replace' }, optionsPage);
+
+      assert.equal(imported.success, true, imported.error && imported.error.message);
+      // Imported site settings are checked with the defaults of missing fields filled in
+      assert.deepEqual(browser.state.storage.local.data.domainSettings['example.com'].switchMethods, ['cookie']);
+    });
+
+    it('reports validation errors of settings actions', async () => {
+      const response = await send({ type: 'ADD_DOMAIN', list: 'allowlist', domain: 'exa mple' }, optionsPage);
+
+      assertError(response, 'OPERATION_FAILED', /Invalid domain format/);
+    });
+  });
+});
@@ -0,0 +1,266 @@
+// Card lifecycle: the content scripts and the service worker together on a fake page
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeBrowser } = require('./helpers/chrome-fake.cjs');
+const { loadBackground, loadContentScripts, waitFor } = require('./helpers/load-scripts.cjs');
+
+const PAGE_URL = 'https://shop.example.com/catalog';
+
+describe('card lifecycle', () => {
+  let browser;
+  let page;
+  let ui;
+
+  /**
+   * Open the test page and wait for the content scripts to settle
+   * @param {boolean} [expectCard] - Wait for the card to be mounted
+   */
+  const openPage = async (expectCard = true) => {
+    page = loadContentScripts(browser, PAGE_URL);
+    await page.ready;
+    ui = await page.import('src/content/ui.js');
+    if (expectCard) {
+      await waitFor(() => ui.getCardElement('device-output-switcher'));
+    }
+    // The listeners are set up after the card, give the initialization its message round trips
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    return page.window;
+  };
+
+  /**
+   * Ids of the mode buttons, and of the active one
+   */
+  const buttonState = () => {
+    const buttons = Array.from(ui.queryCardElements('.device-output-button'));
+    return {
+      buttons: buttons.map((button) => button.dataset.deviceType || button.id),
+      active: buttons.filter((button) => button.classList.contains('active'))
+        .map((button) => button.dataset.deviceType || button.id),
+    };
+  };
+
+  const deviceCookies = () => browser.state.cookies.map(({ name, value }) => `${name}=${value}`);
+
+  beforeEach(async () => {
+    browser = createFakeBrowser();
+    loadBackground(browser);
+
+    // Apply switches with the page event, jsdom cannot reload
+    await browser.state.storage.local.set({ domainSettings: { 'example.com': { applyStrategy: 'event' } } });
+  });
+
+  afterEach(async () => {
+    await page.close();
+  });
+
+  it('mounts the card in its own shadow root with a button per mode', async () => {
+    const window = await openPage();
+
+    const host = window.document.querySelector('device-output-root');
+    assert.ok(host, 'the shadow host should be on the page');
+    assert.equal(host.shadowRoot, null, 'the shadow root should be closed');
+    assert.equal(window.document.getElementById('device-output-switcher'), null);
+
+    assert.deepEqual(buttonState(), {
+      buttons: ['desktop', 'mobile', 'app', 'device-output-default-button'],
+      active: ['device-output-default-button'],
+    });
+  });
+
+  it('keeps its functions out of the global scope', async () => {
+    const window = await openPage();
+
+    ['getCardElement', 'showCard', 'sendMessageToBackground', 'normalizeDomain', 'DeviceOutputConstants'].forEach((name) => {
+      assert.equal(window[name], undefined, name);
+    });
+  });
+
+  it('ignores card events forged by the page', async () => {
+    await browser.background.cookies.set({ url: PAGE_URL, domain: 'example.com', name: 'deviceoutput', value: 'mobile' });
+    const window = await openPage();
+
+    window.document.dispatchEvent(new window.CustomEvent('resetDeviceMode'));
+    window.document.dispatchEvent(new window.CustomEvent('deleteDeviceCookie', { detail: { name: 'deviceoutput' } }));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    assert.deepEqual(deviceCookies(), ['deviceoutput=mobile']);
+    assert.deepEqual(Object.keys(window).filter((name) => name.startsWith('deviceOutput')), []);
+  });
+
+  it('shows the mode set by the device cookie', async () => {
+    await browser.background.cookies.set({ url: PAGE_URL, domain: 'example.com', name: 'deviceoutput', value: 'app' });
+
+    await openPage();
+
+    await waitFor(() => buttonState().active[0] === 'app');
+  });
+
+  it('switches modes by cookie and tells the page', async () => {
+    const window = await openPage();
+    const changes = [];
+    window.addEventListener('deviceoutput:change', (e) => changes.push({ ...e.detail }));
+
+    ui.getCardElement('device-output-switcher').querySelector('[data-device-type="mobile"]').click();
+
+    await waitFor(() => changes.length === 1);
+    assert.deepEqual(changes, [{ device: 'mobile', previous: null }]);
+    assert.deepEqual(deviceCookies(), ['deviceoutput=mobile', 'devicetype=mobile']);
+    assert.deepEqual(buttonState().active, ['mobile']);
+  });
+
+  it('reports its state to the toolbar popup and switches on its request', async () => {
+    const window = await openPage();
+    const { PROTOCOL_VERSION } = await page.import('src/shared/protocol.js');
+    const popup = browser.extensionPageChrome('src/popup/popup.html');
+    const changes = [];
+    window.addEventListener('deviceoutput:change', (e) => changes.push({ ...e.detail }));
+
+    const { state } = await popup.runtime.sendMessage({ protocol: PROTOCOL_VERSION, id: 'popup-1', type: 'GET_TAB_STATE', tabId: page.tabId });
+    assert.equal(state.available, true);
+    assert.equal(state.hostname, 'shop.example.com');
+    assert.equal(state.device, null);
+
+    const response = await popup.runtime.sendMessage({
+      protocol: PROTOCOL_VERSION,
+      id: 'popup-2',
+      type: 'SET_TAB_DEVICE',
+      tabId: page.tabId,
+      deviceType: 'app',
+    });
+
+    assert.equal(response.success, true, response.error && response.error.message);
+    assert.deepEqual(changes, [{ device: 'app', previous: null }]);
+    assert.deepEqual(deviceCookies(), ['deviceoutput=app', 'devicetype=app']);
+  });
+
+  it('removes the device cookies with the Default button', async () => {
+    await browser.background.cookies.set({ url: PAGE_URL, domain: 'example.com', name: 'deviceoutput', value: 'mobile' });
+    const window = await openPage();
+    const changes = [];
+    window.addEventListener('deviceoutput:change', (e) => changes.push({ ...e.detail }));
+
+    ui.getCardElement('device-output-default-button').click();
+
+    await waitFor(() => changes.length === 1);
+    assert.deepEqual(changes, [{ device: null, previous: 'mobile' }]);
+    assert.deepEqual(deviceCookies(), []);
+    assert.deepEqual(buttonState().active, ['device-output-default-button']);
+  });
+
+  it('isolates the tab from the Default state', async () => {
+    await openPage();
+    const checkbox = ui.getCardElement('device-output-tab-scope');
+
+    checkbox.click();
+
+    await waitFor(() => ui.getCardElement('device-output-switcher').classList.contains('tab-scoped'));
+    assert.equal(checkbox.checked, true);
+    assert.ok(!ui.getCardElement('device-output-error').classList.contains('visible'), 'no error should be shown');
+    const { tabOverrides } = await browser.state.storage.session.get('tabOverrides');
+    assert.equal(tabOverrides[page.tabId].deviceType, null, 'the tab should be isolated without a mode yet');
+  });
+
+  it('soft refreshes pages without scripts and reloads the others', async () => {
+    await browser.state.storage.local.set({ domainSettings: { 'example.com': { applyStrategy: 'refetch' } } });
+    const window = await openPage();
+    let html = '<html><head></head><body><p id="fresh">Mobile</p><script type="application/json">{}</script></body></html>';
+    window.fetch = async () => ({ ok: true, text: async () => html });
+    const card = ui.getCardElement('device-output-switcher');
+
+    card.querySelector('[data-device-type="mobile"]').click();
+
+    await waitFor(() => window.document.getElementById('fresh'));
+    assert.ok(window.document.querySelector('device-output-root'), 'the card should be kept');
+
+    html = '<html><head></head><body><div id="app"></div><script src="/app.js"></script></body></html>';
+    card.querySelector('[data-device-type="app"]').click();
+
+    await waitFor(() => page.logs.some((log) => log.level === 'warn' && /reloading instead/.test(log.args[0])));
+    assert.equal(window.document.getElementById('app'), null, 'a page that needs its scripts should not be swapped in');
+  });
+
+  it('is not mounted on blocked domains', async () => {
+    await browser.state.storage.local.set({ blocklist: ['example.com'] });
+
+    const window = await openPage(false);
+
+    assert.equal(ui.getCardElement('device-output-switcher'), null);
+    assert.equal(window.document.querySelector('device-output-root'), null);
+  });
+
+  it('follows changes to the blocklist made elsewhere', async () => {
+    const window = await openPage();
+
+    await browser.state.storage.local.set({ blocklist: ['shop.example.com'] });
+    await waitFor(() => !ui.getCardElement('device-output-switcher'));
+    assert.equal(window.document.querySelector('device-output-root'), null, 'the shadow host should be removed');
+
+    await browser.state.storage.local.set({ blocklist: [] });
+    await waitFor(() => ui.getCardElement('device-output-switcher'));
+    assert.equal(window.document.querySelectorAll('device-output-root').length, 1);
+  });
+
+  it('only reads the domain list again when a list is changed elsewhere', async () => {
+    await openPage();
+    const messages = [];
+    browser.background.runtime.onMessage.addListener((message) => {
+      messages.push(message.type);
+    });
+
+    await browser.state.storage.local.set({ blocklist: ['other.example'] });
+
+    await waitFor(() => ui.queryCardElements('.device-output-whitelist-domain').length === 1);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.deepEqual(messages, [], 'the card should not ask the background for its state again');
+  });
+
+  it('follows history.pushState navigations reported by the background', async () => {
+    await browser.state.storage.local.set({
+      domainSettings: { 'example.com': { applyStrategy: 'event', switchMethods: ['urlParam'], urlParam: 'device' } },
+    });
+    const window = await openPage();
+    const card = ui.getCardElement('device-output-switcher');
+    ui.toggleCard(card);
+
+    window.history.pushState({}, '', '/catalog?device=mobile');
+    browser.background.webNavigation.onHistoryStateUpdated.dispatch({ tabId: page.tabId, frameId: 0, url: window.location.href });
+
+    await waitFor(() => buttonState().active[0] === 'mobile');
+    assert.equal(ui.getCardElement('device-output-switcher'), card, 'the card should be kept');
+    assert.ok(!card.classList.contains('collapsed'), 'the card should keep its state');
+  });
+
+  it('registers its listeners once however often the page navigates', async () => {
+    const window = await openPage();
+    const changes = [];
+    window.addEventListener('deviceoutput:change', (e) => changes.push({ ...e.detail }));
+
+    for (const path of ['/a', '/b', '/c']) {
+      window.history.pushState({}, '', path);
+      browser.background.webNavigation.onHistoryStateUpdated.dispatch({ tabId: page.tabId, frameId: 0, url: window.location.href });
+    }
+    window.location.hash = '#details';
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    ui.getCardElement('device-output-switcher').querySelector('[data-device-type="mobile"]').click();
+    await waitFor(() => changes.length > 0);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    assert.deepEqual(changes, [{ device: 'mobile', previous: null }]);
+    assert.equal(window.document.querySelectorAll('device-output-root').length, 1);
+  });
+
+  it('expands, collapses and hides', async () => {
+    const window = await openPage();
+    const card = ui.getCardElement('device-output-switcher');
+
+    assert.ok(card.classList.contains('collapsed'));
+    ui.toggleCard(card);
+    assert.ok(!card.classList.contains('collapsed'));
+
+    ui.hideCard();
+    assert.equal(ui.getCardElement('device-output-switcher'), null);
+    assert.equal(window.document.querySelector('device-output-root'), null);
+  });
+});
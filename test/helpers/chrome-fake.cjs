@@ -0,0 +1,406 @@
+// In-memory stand-in for the chrome.* APIs used by the extension
+//
+// One fake browser holds the shared state (storage areas, cookie jar, tabs, rules) and
+// hands out a chrome object for the service worker and one per tab for its content
+// scripts. Messages are routed between them like in Chrome:
+//   - runtime.sendMessage from a tab reaches the background's runtime.onMessage
+//   - tabs.sendMessage from the background reaches the tab's runtime.onMessage
+// Listeners are called asynchronously, responses arrive through sendResponse.
+
+const EXTENSION_ID = 'deviceoutputswitcher';
+const EXTENSION_ORIGIN = `chrome-extension://${EXTENSION_ID}`;
+
+/**
+ * Create a chrome event (addListener, removeListener, hasListener)
+ * dispatch calls every listener and returns their results
+ */
+function createEvent() {
+  const listeners = new Set();
+
+  return {
+    addListener: (listener) => listeners.add(listener),
+    removeListener: (listener) => listeners.delete(listener),
+    hasListener: (listener) => listeners.has(listener),
+    hasListeners: () => listeners.size > 0,
+    dispatch: (...args) => Array.from(listeners, (listener) => listener(...args)),
+  };
+}
+
+/**
+ * Copy a value the way structured cloning through the storage API would
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Create a storage area (local, sync, session, managed) with promise based get/set/remove
+ * @param {string} name - Area name, passed to storage.onChanged
+ * @param {Object} onChanged - Shared storage.onChanged event
+ */
+function createStorageArea(name, onChanged) {
+  const data = {};
+
+  const notify = (changes) => {
+    if (Object.keys(changes).length > 0) {
+      onChanged.dispatch(changes, name);
+    }
+  };
+
+  return {
+    data,
+    get: async (keys) => {
+      let names;
+      if (keys === null || keys === undefined) {
+        names = Object.keys(data);
+      } else if (typeof keys === 'string') {
+        names = [keys];
+      } else if (Array.isArray(keys)) {
+        names = keys;
+      } else {
+        // Object of defaults
+        return Object.fromEntries(Object.entries(keys).map(([key, fallback]) => [key, key in data ? clone(data[key]) : fallback]));
+      }
+
+      return Object.fromEntries(names.filter((key) => key in data).map((key) => [key, clone(data[key])]));
+    },
+    set: async (items) => {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: clone(data[key]), newValue: clone(value) };
+        data[key] = clone(value);
+      });
+      notify(changes);
+    },
+    remove: async (keys) => {
+      const changes = {};
+      [].concat(keys).filter((key) => key in data).forEach((key) => {
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      });
+      notify(changes);
+    },
+    clear: async () => {
+      const changes = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, { oldValue: value }]));
+      Object.keys(data).forEach((key) => delete data[key]);
+      notify(changes);
+    },
+  };
+}
+
+/**
+ * Check whether a stored cookie is sent to a URL
+ */
+function cookieMatchesUrl(cookie, url) {
+  const { hostname, pathname, protocol } = new URL(url);
+  const domain = cookie.domain.replace(/^\./, '');
+
+  const domainMatches = cookie.hostOnly
+    ? hostname === domain
+    : hostname === domain || hostname.endsWith(`.${domain}`);
+
+  return domainMatches && pathname.startsWith(cookie.path) && (!cookie.secure || protocol === 'https:');
+}
+
+/**
+ * Check whether a cookie belongs to the requested partition (none for unpartitioned cookies)
+ */
+function cookieInPartition(cookie, partitionKey) {
+  const site = cookie.partitionKey ? cookie.partitionKey.topLevelSite : null;
+  return site === (partitionKey ? partitionKey.topLevelSite : null);
+}
+
+/**
+ * Create the cookie jar behind chrome.cookies
+ */
+function createCookies() {
+  const jar = [];
+  const onChanged = createEvent();
+
+  const sameCookie = (a, b) => a.name === b.name && a.domain === b.domain && a.path === b.path &&
+    cookieInPartition(a, b.partitionKey);
+
+  const removeStored = (cookie, cause) => {
+    jar.splice(jar.indexOf(cookie), 1);
+    onChanged.dispatch({ removed: true, cookie: clone(cookie), cause });
+  };
+
+  // Most specific (longest path) first, like Chrome
+  const visibleCookies = (url, partitionKey) => jar
+    .filter((cookie) => cookieMatchesUrl(cookie, url) && (!cookie.partitionKey || cookieInPartition(cookie, partitionKey)))
+    .sort((a, b) => b.path.length - a.path.length);
+
+  return {
+    jar,
+    onChanged,
+    get: async ({ url, name, partitionKey }) => {
+      const cookie = visibleCookies(url, partitionKey)
+        .find((c) => c.name === name && cookieInPartition(c, partitionKey));
+      return cookie ? clone(cookie) : null;
+    },
+    getAll: async ({ url, name, partitionKey }) => clone(visibleCookies(url, partitionKey)
+      .filter((cookie) => name === undefined || cookie.name === name)),
+    set: async (details) => {
+      const { hostname, protocol } = new URL(details.url);
+      const cookie = {
+        name: details.name,
+        value: details.value,
+        domain: details.domain ? `.${details.domain.replace(/^\./, '')}` : hostname,
+        hostOnly: !details.domain,
+        path: details.path || '/',
+        secure: details.secure === undefined ? protocol === 'https:' : details.secure,
+        httpOnly: Boolean(details.httpOnly),
+        sameSite: details.sameSite || 'unspecified',
+        session: details.expirationDate === undefined,
+      };
+      if (details.expirationDate !== undefined) {
+        cookie.expirationDate = details.expirationDate;
+      }
+      if (details.partitionKey) {
+        cookie.partitionKey = clone(details.partitionKey);
+      }
+
+      const existing = jar.find((c) => sameCookie(c, cookie));
+      if (existing) {
+        removeStored(existing, 'overwrite');
+      }
+
+      jar.push(cookie);
+      onChanged.dispatch({ removed: false, cookie: clone(cookie), cause: 'explicit' });
+
+      return clone(cookie);
+    },
+    remove: async ({ url, name, partitionKey }) => {
+      const cookie = visibleCookies(url, partitionKey)
+        .find((c) => c.name === name && cookieInPartition(c, partitionKey));
+
+      if (!cookie) {
+        return null;
+      }
+
+      removeStored(cookie, 'explicit');
+      return { url, name };
+    },
+  };
+}
+
+/**
+ * Create declarativeNetRequest with dynamic and session rules kept in memory
+ */
+function createDeclarativeNetRequest() {
+  const rules = { dynamic: [], session: [] };
+
+  const update = (list) => async ({ removeRuleIds = [], addRules = [] }) => {
+    rules[list] = rules[list].filter((rule) => !removeRuleIds.includes(rule.id));
+    addRules.forEach((rule) => {
+      if (rules[list].some((r) => r.id === rule.id)) {
+        throw new Error(`Rule with id ${rule.id} already exists`);
+      }
+      rules[list].push(clone(rule));
+    });
+  };
+
+  return {
+    rules,
+    getDynamicRules: async () => clone(rules.dynamic),
+    getSessionRules: async () => clone(rules.session),
+    updateDynamicRules: update('dynamic'),
+    updateSessionRules: update('session'),
+  };
+}
+
+/**
+ * Call message listeners the way Chrome does
+ * Resolves with the first response, or with undefined when no listener answers
+ * (immediately unless a listener returned true to answer asynchronously)
+ */
+function deliverMessage(event, message, sender) {
+  return new Promise((resolve) => {
+    let answered = false;
+    const sendResponse = (response) => {
+      if (!answered) {
+        answered = true;
+        resolve(clone(response));
+      }
+    };
+
+    // Chrome delivers on a later task, never within the sendMessage call
+    setTimeout(() => {
+      const results = event.dispatch(clone(message), sender, sendResponse);
+      if (!answered && !results.includes(true)) {
+        answered = true;
+        resolve(undefined);
+      }
+    }, 0);
+  });
+}
+
+/**
+ * Create a fake browser
+ * @returns {Object} { background, tabChrome(tabId), openTab(url), extensionPageChrome(path), state }
+ */
+function createFakeBrowser() {
+  const storageChanged = createEvent();
+  const storage = {
+    local: createStorageArea('local', storageChanged),
+    sync: createStorageArea('sync', storageChanged),
+    session: createStorageArea('session', storageChanged),
+    managed: createStorageArea('managed', storageChanged),
+    onChanged: storageChanged,
+  };
+  const cookies = createCookies();
+  const declarativeNetRequest = createDeclarativeNetRequest();
+
+  // Background onMessage, reached by tabs and extension pages
+  const backgroundMessages = createEvent();
+  // Content script onMessage per tab id
+  const tabMessages = new Map();
+  const tabs = new Map();
+  const tabRemoved = createEvent();
+  let nextTabId = 1;
+
+  const getURL = (path) => `${EXTENSION_ORIGIN}/${path.replace(/^\//, '')}`;
+
+  /**
+   * runtime.sendMessage with both callback and promise styles
+   * lastError is set while the callback runs when nobody answered
+   */
+  const createSendMessage = (runtime, sender) => (message, callback) => {
+    const delivery = backgroundMessages.hasListeners()
+      ? deliverMessage(backgroundMessages, message, sender())
+      : Promise.resolve(undefined);
+
+    const result = delivery.then((response) => {
+      if (response === undefined && !backgroundMessages.hasListeners()) {
+        throw new Error('Could not establish connection. Receiving end does not exist.');
+      }
+      return response;
+    });
+
+    if (!callback) {
+      return result;
+    }
+
+    result.then(
+      (response) => callback(response),
+      (error) => {
+        runtime.lastError = { message: error.message };
+        try {
+          callback(undefined);
+        } finally {
+          runtime.lastError = undefined;
+        }
+      }
+    );
+    return undefined;
+  };
+
+  const background = {
+    runtime: {
+      id: EXTENSION_ID,
+      lastError: undefined,
+      getURL,
+      onMessage: backgroundMessages,
+      onInstalled: createEvent(),
+    },
+    storage,
+    cookies,
+    declarativeNetRequest,
+    tabs: {
+      onRemoved: tabRemoved,
+      query: async () => clone(Array.from(tabs.values())),
+      get: async (tabId) => {
+        if (!tabs.has(tabId)) {
+          throw new Error(`No tab with id: ${tabId}.`);
+        }
+        return clone(tabs.get(tabId));
+      },
+      sendMessage: async (tabId, message) => {
+        const event = tabMessages.get(tabId);
+        if (!event || !event.hasListeners()) {
+          throw new Error('Could not establish connection. Receiving end does not exist.');
+        }
+        return deliverMessage(event, message, { id: EXTENSION_ID });
+      },
+    },
+    commands: {
+      onCommand: createEvent(),
+      getAll: async () => [],
+    },
+    webNavigation: {
+      onHistoryStateUpdated: createEvent(),
+    },
+    webRequest: {
+      onHeadersReceived: createEvent(),
+    },
+  };
+
+  /**
+   * Open a tab, its content scripts get their chrome object from tabChrome
+   * @param {string} url - Tab URL
+   * @returns {number} Tab id
+   */
+  const openTab = (url) => {
+    const id = nextTabId++;
+    tabs.set(id, { id, url, active: true });
+    tabMessages.set(id, createEvent());
+    return id;
+  };
+
+  /**
+   * Close a tab and tell the background
+   * @param {number} tabId - Tab id
+   */
+  const closeTab = (tabId) => {
+    tabs.delete(tabId);
+    tabMessages.delete(tabId);
+    tabRemoved.dispatch(tabId, { isWindowClosing: false });
+  };
+
+  /**
+   * Get the chrome object content scripts of a tab see
+   * @param {number} tabId - Tab id from openTab
+   */
+  const tabChrome = (tabId) => {
+    const runtime = {
+      id: EXTENSION_ID,
+      lastError: undefined,
+      getURL,
+      onMessage: tabMessages.get(tabId),
+    };
+    runtime.sendMessage = createSendMessage(runtime, () => ({
+      id: EXTENSION_ID,
+      tab: clone(tabs.get(tabId)),
+      url: tabs.get(tabId).url,
+    }));
+
+    return { runtime, storage };
+  };
+
+  /**
+   * Get the chrome object of an extension page (popup, options)
+   * @param {string} path - Page path, e.g. src/options/options.html
+   */
+  const extensionPageChrome = (path) => {
+    const runtime = { id: EXTENSION_ID, lastError: undefined, getURL };
+    runtime.sendMessage = createSendMessage(runtime, () => ({ id: EXTENSION_ID, url: getURL(path) }));
+
+    return { runtime, storage };
+  };
+
+  return {
+    background,
+    openTab,
+    closeTab,
+    tabChrome,
+    extensionPageChrome,
+    state: { storage, cookies: cookies.jar, rules: declarativeNetRequest.rules, tabs },
+  };
+}
+
+module.exports = {
+  EXTENSION_ID,
+  EXTENSION_ORIGIN,
+  createEvent,
+  createFakeBrowser,
+};
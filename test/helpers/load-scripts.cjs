@@ -0,0 +1,184 @@
+// Loads the extension's modules the way Chrome does
+//
+// The service worker module runs in a vm context. Content scripts run in a jsdom window:
+// the manifest's loader script imports content.js, which brings in the module graph.
+// Every page and worker has its own module instances, like a browser realm, and reaches
+// them by their chrome-extension:// URL. Tests get a module's exports through import().
+//
+// vm.SourceTextModule needs node --experimental-vm-modules (see the test script).
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { EXTENSION_ORIGIN } = require('./chrome-fake.cjs');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+/**
+ * Read an extension file
+ * @param {string} file - Path from the extension root, with or without leading slash
+ */
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, file.replace(/^\//, '')), 'utf8');
+}
+
+/**
+ * Get the chrome-extension:// URL of an extension file
+ * @param {string} file - Path from the extension root
+ */
+function extensionUrl(file) {
+  return `${EXTENSION_ORIGIN}/${file.replace(/^\//, '')}`;
+}
+
+/**
+ * Create the module map of a realm
+ * @param {Object} context - Contextified global of the realm
+ * @returns {Object} { import, importDynamically, pending } - import links and evaluates a module
+ *   once and resolves with its exports, pending collects the imports started so far
+ */
+function createModuleLoader(context) {
+  const modules = new Map();
+  const evaluations = new Map();
+  const pending = [];
+
+  const getModule = (url) => {
+    if (!modules.has(url)) {
+      modules.set(url, new vm.SourceTextModule(readSource(new URL(url).pathname), {
+        context,
+        identifier: url,
+        importModuleDynamically: (specifier) => importModule(new URL(specifier, url).href),
+      }));
+    }
+    return modules.get(url);
+  };
+
+  const importModule = (url) => {
+    if (!evaluations.has(url)) {
+      evaluations.set(url, (async () => {
+        const module = getModule(url);
+        if (module.status === 'unlinked') {
+          await module.link((specifier, referencing) => getModule(new URL(specifier, referencing.identifier).href));
+        }
+        if (module.status === 'linked') {
+          await module.evaluate();
+        }
+        return module.namespace;
+      })());
+      pending.push(evaluations.get(url));
+    }
+    return evaluations.get(url);
+  };
+
+  // Dynamic import() of classic scripts, such as the content script loader
+  const importDynamically = (specifier) => importModule(specifier);
+
+  return { import: importModule, importDynamically, pending };
+}
+
+/**
+ * Start the background service worker
+ * @param {Object} browser - Fake browser from createFakeBrowser
+ * @returns {Promise<{ context: Object, import: (file: string) => Promise<Object> }>}
+ */
+async function loadBackground(browser) {
+  const context = {
+    chrome: browser.background,
+    console,
+    URL,
+    URLSearchParams,
+    setTimeout,
+    clearTimeout,
+  };
+  context.self = context;
+  vm.createContext(context);
+
+  const loader = createModuleLoader(context);
+  await loader.import(extensionUrl(MANIFEST.background.service_worker));
+
+  return { context, import: (file) => loader.import(extensionUrl(file)) };
+}
+
+/**
+ * Open a page in a new tab and run the content scripts of the manifest in it
+ * @param {Object} browser - Fake browser from createFakeBrowser
+ * @param {string} url - Page URL
+ * @param {Object} [options]
+ * @param {string} [options.html] - Page markup
+ * @param {string[]} [options.modules] - Modules to import instead of running the content scripts
+ * @returns {{ window: Object, tabId: number, logs: Object[], ready: Promise<void>,
+ *   import: (file: string) => Promise<Object>, close: () => Promise<void> }} ready resolves once
+ *   the modules imported while loading are evaluated
+ */
+function loadContentScripts(browser, url, { html = '<!DOCTYPE html><html><head></head><body></body></html>', modules } = {}) {
+  const tabId = browser.openTab(url);
+  const logs = [];
+
+  // Keep the test output clean, tests can look at what the scripts logged
+  const virtualConsole = new VirtualConsole();
+  ['log', 'info', 'warn', 'error'].forEach((level) => {
+    virtualConsole.on(level, (...args) => logs.push({ level, args }));
+  });
+  virtualConsole.on('jsdomError', (error) => logs.push({ level: 'jsdomError', args: [error.message] }));
+
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+  const { window } = dom;
+  window.chrome = browser.tabChrome(tabId);
+
+  const context = dom.getInternalVMContext();
+  const loader = createModuleLoader(context);
+
+  if (modules) {
+    modules.forEach((file) => loader.import(extensionUrl(file)));
+  } else {
+    MANIFEST.content_scripts[0].js.forEach((file) => {
+      const script = new vm.Script(readSource(file), { filename: file, importModuleDynamically: loader.importDynamically });
+      script.runInContext(context);
+    });
+  }
+
+  return {
+    window,
+    tabId,
+    logs,
+    // The loader's import() reaches the module map after the script ran
+    ready: new Promise((resolve) => setTimeout(resolve, 0)).then(() => Promise.all(loader.pending)).then(() => {}),
+    import: (file) => loader.import(extensionUrl(file)),
+    // Content scripts may still be busy with a message round trip, let them finish first
+    close: async () => {
+      browser.closeTab(tabId);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      window.close();
+    },
+  };
+}
+
+/**
+ * Wait until a condition holds, polling on the event loop
+ * @param {() => *} condition - Returns a truthy value (or a promise of one) when done
+ * @param {number} [timeout] - Milliseconds before giving up
+ * @returns {Promise<*>} The truthy value
+ */
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+
+  for (;;) {
+    const result = await condition();
+    if (result) {
+      return result;
+    }
+    if (Date.now() - start > timeout) {
+      throw new Error(`Condition not met within ${timeout}ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+module.exports = {
+  ROOT,
+  MANIFEST,
+  loadBackground,
+  loadContentScripts,
+  waitFor,
+};
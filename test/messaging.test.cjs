@@ -0,0 +1,137 @@
+// sendMessageToBackground of cookie-manager.js: protocol responses, error codes and timeouts
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeBrowser } = require('./helpers/chrome-fake.cjs');
+const { loadContentScripts } = require('./helpers/load-scripts.cjs');
+
+const COOKIE_MANAGER = 'src/content/cookie-manager.js';
+const PROTOCOL = 'src/shared/protocol.js';
+const PAGE_URL = 'https://example.com/';
+
+describe('sendMessageToBackground', () => {
+  let browser;
+  let page;
+  let sendMessageToBackground;
+  let protocol;
+
+  /**
+   * Answer background messages with a handler instead of the real service worker
+   * @param {(message: Object, sendResponse: Function) => boolean|void} handler
+   */
+  const answerWith = (handler) => {
+    browser.background.runtime.onMessage.addListener((message, sender, sendResponse) => handler(message, sendResponse));
+  };
+
+  beforeEach(async () => {
+    browser = createFakeBrowser();
+    page = loadContentScripts(browser, PAGE_URL, { modules: [COOKIE_MANAGER] });
+    ({ sendMessageToBackground } = await page.import(COOKIE_MANAGER));
+    protocol = await page.import(PROTOCOL);
+  });
+
+  afterEach(async () => {
+    await page.close();
+  });
+
+  it('sends requests in the protocol envelope and resolves with the response', async () => {
+    let request;
+    answerWith((message, sendResponse) => {
+      request = message;
+      sendResponse(protocol.createResponse(message, { cookies: [] }));
+    });
+
+    const response = await sendMessageToBackground({ type: 'GET_ALL_COOKIES', url: PAGE_URL });
+
+    assert.equal(request.protocol, protocol.PROTOCOL_VERSION);
+    assert.match(request.id, /^\w+-\d+$/);
+    assert.equal(response.id, request.id);
+    assert.deepEqual(response.cookies, []);
+  });
+
+  it('rejects with the code and message of error responses', async () => {
+    answerWith((message, sendResponse) => {
+      sendResponse(protocol.createErrorResponse(message, new protocol.ProtocolError('ORIGIN_MISMATCH', 'Origin mismatch')));
+    });
+
+    await assert.rejects(sendMessageToBackground({ type: 'SET_DEVICE', url: PAGE_URL, deviceType: 'mobile' }), {
+      name: 'ProtocolError',
+      code: 'ORIGIN_MISMATCH',
+      message: 'Origin mismatch',
+    });
+  });
+
+  it('reports errors thrown by handlers as failed operations', async () => {
+    answerWith((message, sendResponse) => sendResponse(protocol.createErrorResponse(message, new Error('Invalid device type: watch'))));
+
+    await assert.rejects(sendMessageToBackground({ type: 'SET_DEVICE', url: PAGE_URL, deviceType: 'watch' }), {
+      code: 'OPERATION_FAILED',
+      message: 'Invalid device type: watch',
+    });
+  });
+
+  it('rejects invalid requests without sending them', async () => {
+    let sent = false;
+    answerWith(() => {
+      sent = true;
+    });
+
+    await assert.rejects(sendMessageToBackground({ type: 'SET_DEVICE', url: PAGE_URL }), {
+      code: 'INVALID_MESSAGE',
+      message: 'Invalid SET_DEVICE request: "deviceType" must be string',
+    });
+    await assert.rejects(sendMessageToBackground({ type: 'PING' }), { code: 'UNKNOWN_TYPE' });
+    assert.equal(sent, false);
+  });
+
+  it('rejects responses that break the schema', async () => {
+    answerWith((message, sendResponse) => sendResponse({ protocol: message.protocol, id: message.id, success: true }));
+
+    await assert.rejects(sendMessageToBackground({ type: 'GET_ALL_COOKIES', url: PAGE_URL }), {
+      code: 'INVALID_MESSAGE',
+      message: 'Invalid GET_ALL_COOKIES response: "cookies" must be array',
+    });
+  });
+
+  it('rejects responses to another request', async () => {
+    answerWith((message, sendResponse) => sendResponse(protocol.createResponse({ ...message, id: 'other-1' }, { cookies: [] })));
+
+    await assert.rejects(sendMessageToBackground({ type: 'GET_ALL_COOKIES', url: PAGE_URL }), { code: 'INVALID_MESSAGE' });
+  });
+
+  it('rejects when the background does not answer', async () => {
+    answerWith(() => {});
+
+    await assert.rejects(sendMessageToBackground({ type: 'GET_ALL_COOKIES', url: PAGE_URL }), {
+      code: 'NO_RESPONSE',
+      message: 'No response received to GET_ALL_COOKIES',
+    });
+  });
+
+  it('times out when the background never calls sendResponse', async () => {
+    // Returning true keeps the channel open, like a handler stuck on an API call
+    answerWith(() => true);
+
+    await assert.rejects(sendMessageToBackground({ type: 'GET_COOKIE', url: PAGE_URL, name: 'deviceoutput' }, 30), {
+      code: 'TIMEOUT',
+      message: 'Timeout waiting for response to GET_COOKIE after 30ms',
+    });
+  });
+
+  it('reports runtime errors when the background is unreachable', async () => {
+    await assert.rejects(sendMessageToBackground({ type: 'GET_ALL_COOKIES', url: PAGE_URL }), {
+      code: 'RUNTIME_ERROR',
+      message: 'Chrome runtime error: Could not establish connection. Receiving end does not exist.',
+    });
+  });
+
+  it('does not reject after a response arrived in time', async () => {
+    answerWith((message, sendResponse) => {
+      setTimeout(() => sendResponse(protocol.createResponse(message, { cookies: [] })), 10);
+      return true;
+    });
+
+    const response = await sendMessageToBackground({ type: 'GET_ALL_COOKIES', url: PAGE_URL }, 200);
+    assert.equal(response.success, true);
+  });
+});
@@ -0,0 +1,128 @@
+// Domain helpers and activation checks of storage-manager.js
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeBrowser } = require('./helpers/chrome-fake.cjs');
+const { loadContentScripts } = require('./helpers/load-scripts.cjs');
+
+const STORAGE_MANAGER = 'src/content/storage-manager.js';
+
+describe('storage-manager', () => {
+  let browser;
+  let page;
+
+  /**
+   * Import storage-manager.js into a page
+   * @param {string} url - Page URL, decides the current domain
+   * @returns {Promise<Object>} Exports of the module
+   */
+  const openPage = (url) => {
+    page = loadContentScripts(browser, url, { modules: [STORAGE_MANAGER] });
+    return page.import(STORAGE_MANAGER);
+  };
+
+  beforeEach(() => {
+    browser = createFakeBrowser();
+  });
+
+  afterEach(async () => {
+    await page.close();
+  });
+
+  describe('normalizeDomain', () => {
+    it('lowercases and strips protocol, www. and paths', async () => {
+      const { normalizeDomain } = await openPage('https://example.com/');
+
+      assert.equal(normalizeDomain('Example.COM'), 'example.com');
+      assert.equal(normalizeDomain('https://www.example.com/path?q=1'), 'example.com');
+      assert.equal(normalizeDomain('  shop.example.com  '), 'shop.example.com');
+    });
+
+    it('keeps wildcards, ports, IPs and exclusions', async () => {
+      const { normalizeDomain } = await openPage('https://example.com/');
+
+      assert.equal(normalizeDomain('*.example.com'), '*.example.com');
+      assert.equal(normalizeDomain('shop-*.example.com'), 'shop-*.example.com');
+      assert.equal(normalizeDomain('localhost:03000'), 'localhost:3000');
+      assert.equal(normalizeDomain('192.168.1.20'), '192.168.1.20');
+      assert.equal(normalizeDomain('!Admin.example.com'), '!admin.example.com');
+    });
+
+    it('rejects invalid rules', async () => {
+      const { normalizeDomain } = await openPage('https://example.com/');
+
+      ['', 'exa mple.com', 'example.*.com', 'localhost:70000', '!!example.com', '256.1.1.1'].forEach((rule) => {
+        assert.throws(() => normalizeDomain(rule), { name: 'Error' }, `"${rule}" should be rejected`);
+      });
+    });
+  });
+
+  describe('isSubdomain', () => {
+    it('accepts real subdomains only', async () => {
+      const { isSubdomain } = await openPage('https://example.com/');
+
+      assert.equal(isSubdomain('api.example.com', 'example.com'), true);
+      assert.equal(isSubdomain('a.b.example.com', 'example.com'), true);
+      assert.equal(isSubdomain('example.com', 'example.com'), false);
+      assert.equal(isSubdomain('badexample.com', 'example.com'), false);
+      assert.equal(isSubdomain('example.com.evil.org', 'example.com'), false);
+    });
+  });
+
+  // isCurrentDomainWhitelisted became isCurrentDomainActive with the activation modes
+  describe('isCurrentDomainActive', () => {
+    it('is active nowhere with an empty allowlist', async () => {
+      const storage = await openPage('https://shop.example.com/');
+
+      assert.equal(await storage.isCurrentDomainActive('allowlist'), false);
+    });
+
+    it('matches the allowlist against the current host and its parents', async () => {
+      const storage = await openPage('https://shop.example.com/');
+      await storage.addDomainToList('allowlist', 'example.com');
+
+      assert.equal(await storage.isCurrentDomainActive('allowlist'), true);
+    });
+
+    it('lets exclusions win over broader allowlist rules', async () => {
+      const storage = await openPage('https://admin.example.com/');
+      await storage.addDomainToList('allowlist', 'example.com');
+      await storage.addDomainToList('allowlist', '!admin.example.com');
+
+      assert.equal(await storage.isCurrentDomainActive('allowlist'), false);
+    });
+
+    it('checks the port of the current page', async () => {
+      const storage = await openPage('http://localhost:3000/');
+      await storage.addDomainToList('allowlist', 'localhost:8080');
+
+      assert.equal(await storage.isCurrentDomainActive('allowlist'), false);
+
+      await storage.addDomainToList('allowlist', 'localhost:3000');
+      assert.equal(await storage.isCurrentDomainActive('allowlist'), true);
+    });
+
+    it('is active everywhere except blocked hosts in blocklist mode', async () => {
+      const storage = await openPage('https://shop.example.com/');
+
+      assert.equal(await storage.isCurrentDomainActive('blocklist'), true);
+
+      await storage.addDomainToList('blocklist', '*.example.com');
+      assert.equal(await storage.isCurrentDomainActive('blocklist'), false);
+    });
+
+    it('applies rules from the enterprise policy', async () => {
+      const storage = await openPage('https://intranet.corp.example/');
+      await browser.state.storage.managed.set({ blocklist: ['corp.example'] });
+
+      assert.equal(await storage.isCurrentDomainActive('blocklist'), false);
+    });
+
+    it('is never active by domain in manual mode', async () => {
+      const storage = await openPage('https://shop.example.com/');
+      await storage.addDomainToList('allowlist', 'example.com');
+
+      assert.equal(await storage.isCurrentDomainActive('manual'), false);
+    });
+  });
+});